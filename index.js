@@ -1,187 +1,1789 @@
 const { Buffer } = require("buffer"); // Import Buffer for precise byte length calculation
+const path = require("path");
+const zlib = require("zlib");
+const {
+  chunkName,
+  contentHash,
+  renderFilename,
+  writeChunk,
+} = require("./lib/output");
+const {
+  integrity,
+  manifestPath,
+  readPreviousManifest,
+  relativePath,
+  sourceRanges,
+  unitKey,
+  writeManifest,
+} = require("./lib/manifest");
+const { collectPreamble, preambleFor } = require("./lib/preamble");
+const { describeNode, reportPath, writeReport } = require("./lib/report");
+const { createRollingHash } = require("./lib/rolling-hash");
+const { runtimePath, writeRuntime } = require("./lib/runtime");
+const { parseSize } = require("./lib/size");
 
-module.exports = (opts = {}) => {
+// Some @-rules should not be split and must be kept as complete units.
+// Vendor-prefixed forms such as `@-webkit-keyframes` match as well.
+const defaultAtomicAtRules = [
+  "keyframes",
+  "font-face",
+  "page",
+  "counter-style",
+  "property",
+  "font-feature-values",
+  "font-palette-values",
+  "view-transition",
+];
+
+/**
+ * Build a matcher for nodes that must be kept as complete units. Strings match
+ * @-rule names with or without a vendor prefix, regexes are tested against the
+ * @-rule name as written, and functions receive any node, including style rules.
+ * @param {string|RegExp|Function|Array<string|RegExp|Function>} [atomic] Entries added to the defaults.
+ * @returns {(node: import('postcss').Node) => boolean} The matcher.
+ */
+const createAtomicMatcher = (atomic = []) => {
+  const entries = defaultAtomicAtRules.concat(atomic).map((entry) => {
+    if (typeof entry === "string") {
+      return entry.replace(/^@/, "").toLowerCase();
+    }
+    if (entry instanceof RegExp || typeof entry === "function") return entry;
+    throw new Error(
+      `postcss-chunk-by-size: atomic entries must be strings, regular expressions or functions, got ${typeof entry}`
+    );
+  });
+
+  return (node) =>
+    entries.some((entry) => {
+      if (typeof entry === "function") return Boolean(entry(node));
+      if (node.type !== "atrule") return false;
+      if (entry instanceof RegExp) return entry.test(node.name);
+      const name = node.name.toLowerCase();
+      return name === entry || name.replace(/^-[a-z]+-/, "") === entry;
+    });
+};
+
+// Byte counters for each supported `measure` mode
+const measurers = {
+  raw: (css) => Buffer.byteLength(css, "utf8"),
+  gzip: (css) => zlib.gzipSync(css).length,
+  brotli: (css) => zlib.brotliCompressSync(css).length,
+};
+
+// Upper bound of input characters compressed to estimate the compression ratio
+const RATIO_SAMPLE_LENGTH = 512 * 1024;
+
+/**
+ * Collapse whitespace in a selector, value or params string, leaving quoted
+ * strings untouched.
+ * @param {string} text The text to collapse.
+ * @param {RegExp} tight Matches whitespace that can be dropped around punctuation.
+ * @returns {string} The collapsed text.
+ */
+const collapse = (text, tight) =>
+  text
+    .split(/("(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*')/)
+    .map((part, i) =>
+      i % 2 === 1
+        ? part
+        : part.replace(/\s+/g, " ").replace(tight, (match) => match.trim())
+    )
+    .join("")
+    .trim();
+
+/**
+ * Minify the selector of a rule or the name and params of an @-rule.
+ * @param {import('postcss').Rule|import('postcss').AtRule} node The node.
+ * @returns {string} The minified prelude, without the block.
+ */
+const minifyPrelude = (node) => {
+  if (node.type === "rule") return collapse(node.selector, /\s*[>+~,]\s*/g);
+  const params = collapse(node.params, /\s*[,:]\s*|\(\s+|\s+\)/g);
+  return `@${node.name}${params ? ` ${params}` : ""}`;
+};
+
+/**
+ * Serialize a node the way a CSS minifier would print it: no raws, no comments
+ * (except `/*! ... *\/` license comments) and the shortest whitespace.
+ * @param {import('postcss').Node} node The node to serialize.
+ * @returns {string} The minified CSS.
+ */
+const minify = (node) => {
+  const body = (container) =>
+    container.nodes
+      .map((child, i) =>
+        child.type === "decl" && i < container.nodes.length - 1
+          ? `${minify(child)};`
+          : minify(child)
+      )
+      .join("");
+
+  switch (node.type) {
+    case "decl":
+      return `${node.prop}:${collapse(node.value, /\s*,\s*|\(\s+|\s+\)/g)}${
+        node.important ? "!important" : ""
+      }`;
+    case "rule":
+      return `${minifyPrelude(node)}{${body(node)}}`;
+    case "atrule":
+      return node.nodes
+        ? `${minifyPrelude(node)}{${body(node)}}`
+        : `${minifyPrelude(node)};`;
+    case "comment":
+      return node.text.startsWith("!") ? `/*${node.text}*/` : "";
+    default:
+      return body(node);
+  }
+};
+
+/**
+ * Count the style rules and selectors a node contributes to a stylesheet,
+ * including rules nested inside @-rules. Keyframe selectors (`from`, `50%`)
+ * are not style rules and are skipped.
+ * @param {import('postcss').Node} node The node to count.
+ * @returns {{ selectors: number, rules: number }} Selector and rule counts.
+ */
+const countRules = (node) => {
+  const counts = { selectors: 0, rules: 0 };
+  const visit = (rule) => {
+    const parent = rule.parent;
+    if (parent && parent.type === "atrule" && /keyframes$/i.test(parent.name)) {
+      return;
+    }
+    counts.selectors += rule.selectors.length;
+    counts.rules += 1;
+  };
+
+  if (node.type === "rule") visit(node);
+  if (node.walkRules) node.walkRules(visit);
+  return counts;
+};
+
+/**
+ * Read an author directive from a `/* split-chunks: ... *\/` comment.
+ * @param {import('postcss').Node} node The node to check.
+ * @returns {string|null} `break`, `keep-start`, `keep-end`, or `null` for other nodes.
+ */
+const readDirective = (node) => {
+  if (node.type !== "comment") return null;
+  const match = /^split-chunks:\s*(break|keep-start|keep-end)$/.exec(
+    node.text.trim()
+  );
+  return match ? match[1] : null;
+};
+
+/**
+ * Copy a container without its children. Unlike `node.clone({ nodes: [] })`,
+ * the children are not cloned first, so the cost does not grow with them.
+ * @param {import('postcss').Container} node The rule or @-rule to copy.
+ * @returns {import('postcss').Container} The empty copy.
+ */
+const cloneEmpty = (node) => {
+  const nodes = node.nodes;
+  node.nodes = [];
+  const copy = node.clone();
+  node.nodes = nodes;
+  return copy;
+};
+
+/**
+ * Measure every node of a tree in a single pass: serialized byte size, style
+ * rule and selector counts (as `countRules`), and whether it contains a
+ * `break` directive. Sizes are summed bottom-up from the bytes each node
+ * prints itself, so nested @-rules are not serialized again for every level.
+ * They match `node.toString()`, or `minify(node)` in minified mode, except
+ * that declarations and statements include the `;` that follows them.
+ * @param {import('postcss').Root} root The tree to measure.
+ * @param {boolean} minified Whether to measure the minified serialization.
+ * @param {Function} stringify The PostCSS stringifier.
+ * @returns {WeakMap<import('postcss').Node, { bytes: number, selectors: number, rules: number, hasBreak: boolean }>}
+ */
+const measureTree = (root, minified, stringify) => {
+  const own = new Map(); // Bytes every node prints itself
+  const addOwn = (node, bytes) => own.set(node, (own.get(node) || 0) + bytes);
+
+  if (minified) {
+    root.walk((node) => {
+      const last = node.parent.last === node;
+      let css;
+      if (node.type === "rule") css = `${minifyPrelude(node)}{}`;
+      else if (node.type === "atrule" && node.nodes) {
+        css = `${minifyPrelude(node)}{}`;
+      } else css = minify(node) + (node.type === "decl" && !last ? ";" : "");
+      addOwn(node, Buffer.byteLength(css, "utf8"));
+    });
+  } else {
+    // Pieces without a node are raws between children, printed by the open block
+    const open = [root];
+    stringify(root, (css, node, type) => {
+      if (type === "start") open.push(node);
+      addOwn(node || open[open.length - 1], Buffer.byteLength(css, "utf8"));
+      if (type === "end" && css === "}") open.pop();
+    });
+  }
+
+  const stats = new WeakMap();
+  const visit = (node) => {
+    const entry = {
+      bytes: own.get(node) || 0,
+      selectors: 0,
+      rules: 0,
+      hasBreak: node.type === "comment" && readDirective(node) === "break",
+    };
+    if (
+      node.type === "rule" &&
+      !(node.parent.type === "atrule" && /keyframes$/i.test(node.parent.name))
+    ) {
+      entry.selectors = node.selectors.length;
+      entry.rules = 1;
+    }
+    if (node.nodes) {
+      node.nodes.forEach((child) => {
+        const childEntry = visit(child);
+        entry.bytes += childEntry.bytes;
+        entry.selectors += childEntry.selectors;
+        entry.rules += childEntry.rules;
+        entry.hasBreak = entry.hasBreak || childEntry.hasBreak;
+      });
+    }
+    stats.set(node, entry);
+    return entry;
+  };
+  visit(root);
+  return stats;
+};
+
+/**
+ * Whether a container has a `break` directive among its descendants.
+ * @param {import('postcss').Container} container The container to check.
+ * @returns {boolean}
+ */
+const containsBreak = (container) => {
+  let found = false;
+  container.walkComments((comment) => {
+    if (readDirective(comment) === "break") {
+      found = true;
+      return false;
+    }
+    return undefined;
+  });
+  return found;
+};
+
+/**
+ * Whether an @-rule has content worth splitting, not just declarations or
+ * empty @-rules.
+ * @param {import('postcss').AtRule} node The @-rule to check.
+ * @returns {boolean}
+ */
+const hasSplittableContent = (node) =>
+  node.nodes.some(
+    (child) =>
+      child.type === "rule" ||
+      (child.type === "atrule" && child.nodes && child.nodes.length > 0)
+  );
+
+/**
+ * Whether a node is an @-rule shell whose children may be spread across chunks.
+ * @param {import('postcss').Node} node The node to check.
+ * @param {(node: import('postcss').Node) => boolean} isAtomic Matcher for complete units.
+ * @returns {boolean}
+ */
+const isShell = (node, isAtomic) =>
+  node.type === "atrule" && Boolean(node.nodes) && !isAtomic(node);
+
+/**
+ * Whether a container holds more than one movable unit, so that its trailing
+ * unit can be moved out without leaving it empty.
+ * @param {import('postcss').Container} container The chunk or shell to check.
+ * @param {(node: import('postcss').Node) => boolean} isAtomic Matcher for complete units.
+ * @returns {boolean}
+ */
+const hasTrailing = (container, isAtomic) => {
+  if (container.nodes.length > 1) return true;
+  const only = container.first;
+  return (
+    Boolean(only) && isShell(only, isAtomic) && hasTrailing(only, isAtomic)
+  );
+};
+
+/**
+ * Detach the trailing unit of a chunk. When the unit sits inside @-rule shells,
+ * it is returned wrapped in fresh copies of those shells.
+ * @param {import('postcss').Root} chunk The chunk to take the unit from.
+ * @param {(node: import('postcss').Node) => boolean} isAtomic Matcher for complete units.
+ * @returns {import('postcss').Node} The detached unit.
+ */
+const popTrailing = (chunk, isAtomic) => {
+  const chain = [];
+  let node = chunk.last;
+  while (isShell(node, isAtomic) && hasTrailing(node, isAtomic)) {
+    chain.push(node);
+    node = node.last;
+  }
+  node.remove();
+
+  return chain.reduceRight((carried, shell) => {
+    const newShell = cloneEmpty(shell);
+    newShell.append(carried);
+    return newShell;
+  }, node);
+};
+
+/**
+ * Prepend a detached unit to a container, merging it into a leading shell
+ * with the same name and params.
+ * @param {import('postcss').Container} container The container to prepend to.
+ * @param {import('postcss').Node} node The unit to prepend.
+ * @param {(node: import('postcss').Node) => boolean} isAtomic Matcher for complete units.
+ */
+const prependCarried = (container, node, isAtomic) => {
+  const first = container.first;
+  if (
+    first &&
+    isShell(node, isAtomic) &&
+    isShell(first, isAtomic) &&
+    first.name === node.name &&
+    first.params === node.params
+  ) {
+    node.nodes
+      .slice()
+      .reverse()
+      .forEach((child) => prependCarried(first, child, isAtomic));
+    return;
+  }
+  container.prepend(node);
+};
+
+/**
+ * Visit the units of a container in order: rules and @-rules that are kept
+ * whole, along with the @-rule shells around them.
+ * @param {import('postcss').Container} container The container to walk.
+ * @param {(node: import('postcss').Node) => boolean} isAtomic Matcher for complete units.
+ * @param {(node: import('postcss').Node, scope: string) => void} callback Called for every unit with the key of its shells.
+ * @param {string} [scope] The key of the shells around the container.
+ */
+const eachUnit = (container, isAtomic, callback, scope = "") => {
+  container.each((node) => {
+    if (node.type !== "rule" && node.type !== "atrule") return;
+    if (isShell(node, isAtomic) && hasSplittableContent(node)) {
+      eachUnit(node, isAtomic, callback, unitKey(scope, node));
+    } else {
+      callback(node, scope);
+    }
+  });
+};
+
+/**
+ * Append a detached unit to a container, merging it into a trailing shell
+ * with the same name and params.
+ * @param {import('postcss').Container} container The container to append to.
+ * @param {import('postcss').Node} node The unit to append.
+ * @param {(node: import('postcss').Node) => boolean} isAtomic Matcher for complete units.
+ */
+const appendCarried = (container, node, isAtomic) => {
+  const last = container.last;
+  if (
+    last &&
+    isShell(node, isAtomic) &&
+    isShell(last, isAtomic) &&
+    last.name === node.name &&
+    last.params === node.params
+  ) {
+    node.nodes.slice().forEach((child) => appendCarried(last, child, isAtomic));
+    return;
+  }
+  container.append(node);
+};
+
+/**
+ * Validate the options and build the splitting engine shared by the plugin and
+ * `splitChunks`.
+ * @param {object} opts The plugin options.
+ * @returns {(root: import('postcss').Root, result: import('postcss').Result, postcss: import('postcss')) => object}
+ *   Creates an engine that hands out closed chunks in order from `next()`.
+ */
+const createSplitter = (opts = {}) => {
   // Set default values in bytes. Default is 400KB.
-  const { size = 400 * 1024 } = opts;
+  // Selector and rule limits are disabled unless configured.
+  const {
+    size: maxSize = 400 * 1024,
+    maxSelectors = 0,
+    maxRules = 0,
+    measure = "raw",
+    minified = false,
+    output,
+    entry = "empty",
+    atomic,
+    oversize = "warn",
+    strict = false,
+    strategy = "greedy",
+    minSize: minSizeOption = 0,
+    chunks: chunkCount = 0,
+    previousManifest,
+    report,
+    runtime,
+  } = opts;
+  // A fixed number of chunks replaces the size limit
+  const size = chunkCount ? 0 : parseSize(maxSize, "size");
+  const minSize = parseSize(minSizeOption, "minSize");
+  Object.entries({ maxSelectors, maxRules }).forEach(([name, value]) => {
+    if (!(Number.isInteger(value) && value >= 0)) {
+      throw new Error(
+        `postcss-chunk-by-size: ${name} must be a non-negative integer, got '${value}'`
+      );
+    }
+  });
 
-  return {
-    postcssPlugin: "postcss-chunk-by-size", // Plugin name
+  if (!Object.prototype.hasOwnProperty.call(measurers, measure)) {
+    throw new Error(
+      `postcss-chunk-by-size: unknown measure '${measure}', expected one of ${Object.keys(
+        measurers
+      ).join(", ")}`
+    );
+  }
+  if (!["warn", "error", "isolate", "split"].includes(oversize)) {
+    throw new Error(
+      `postcss-chunk-by-size: unknown oversize '${oversize}', expected one of warn, error, isolate, split`
+    );
+  }
+  if (chunkCount && !(Number.isInteger(chunkCount) && chunkCount > 0)) {
+    throw new Error(
+      `postcss-chunk-by-size: chunks must be a positive integer, got '${chunkCount}'`
+    );
+  }
+  if (size && minSize > size) {
+    throw new Error(
+      `postcss-chunk-by-size: minSize must not exceed size, got minSize ${minSize} and size ${size}`
+    );
+  }
+  if (!["greedy", "balanced", "content"].includes(strategy)) {
+    throw new Error(
+      `postcss-chunk-by-size: unknown strategy '${strategy}', expected one of greedy, balanced, content`
+    );
+  }
+  if (previousManifest && (strategy !== "greedy" || chunkCount)) {
+    throw new Error(
+      "postcss-chunk-by-size: previousManifest only works with the greedy strategy"
+    );
+  }
+  if (strategy === "content" && !size) {
+    throw new Error(
+      "postcss-chunk-by-size: strategy 'content' requires a size limit to derive the boundary distance"
+    );
+  }
+  if (!["imports", "first-chunk", "empty"].includes(entry)) {
+    throw new Error(
+      `postcss-chunk-by-size: unknown entry '${entry}', expected one of imports, first-chunk, empty`
+    );
+  }
+  if (entry === "imports" && !output) {
+    throw new Error(
+      "postcss-chunk-by-size: entry 'imports' requires the output option to know where chunks are written"
+    );
+  }
+  if (runtime && !output) {
+    throw new Error(
+      "postcss-chunk-by-size: runtime requires the output option to know where chunks are written"
+    );
+  }
+  const measureCss = measurers[measure];
+  const isAtomic = createAtomicMatcher(atomic);
+  // Serialize nodes as they will be shipped when the output is minified later
+  const serialize = minified ? minify : (node) => node.toString();
+  const sizeLabel = measure === "raw" ? "size" : `${measure} size`;
 
-    Once(root, { result, postcss }) {
-      const finalChunks = []; // Store all final generated code chunks
-      let currentChunk = postcss.root(); // Current chunk being built
-      let currentChunkSize = 0; // Estimated byte size of current chunk
+  return (root, result, postcss) => {
+    let finalChunks = []; // Store all final generated code chunks
+    let currentChunk = postcss.root(); // Current chunk being built
+    let currentChunkSize = 0; // Estimated byte size of current chunk
+    let currentChunkSelectors = 0; // Selector count of current chunk
+    let currentChunkRules = 0; // Style rule count of current chunk
 
-      // Create a new code chunk
-      const startNewChunk = () => {
-        if (currentChunk.nodes.length > 0) {
-          finalChunks.push(currentChunk);
-        }
-        currentChunk = postcss.root();
-        currentChunkSize = 0;
+    // Compressed sizes are estimated from raw bytes with a compression ratio.
+    // The ratio starts from a sample of the input and is refined with the
+    // exact measurement of every closed chunk.
+    let ratio = 1;
+    if (measure !== "raw" && (size || chunkCount)) {
+      const sample = serialize(root).slice(0, RATIO_SAMPLE_LENGTH);
+      const sampleBytes = Buffer.byteLength(sample, "utf8");
+      if (sampleBytes > 0) ratio = measureCss(sample) / sampleBytes;
+    }
+    const initialRatio = ratio;
+    const byteSize = (css) => Buffer.byteLength(css, "utf8") * ratio;
+
+    // Input nodes are measured once up front. Copies made while splitting are
+    // measured when they are needed.
+    const stats = measureTree(root, minified, postcss.stringify);
+    const estimateSize = (node) => {
+      const entry = stats.get(node);
+      return entry ? entry.bytes * ratio : byteSize(serialize(node));
+    };
+    const ruleCounts = (node) => {
+      const entry = stats.get(node);
+      return entry
+        ? { selectors: entry.selectors, rules: entry.rules }
+        : countRules(node);
+    };
+    const hasBreak = (node) => {
+      const entry = stats.get(node);
+      return entry ? entry.hasBreak : containsBreak(node);
+    };
+
+    // Bytes of the empty @-rule shells rebuilt around the content of a chain,
+    // measured once per shell
+    const chainShellSizes = new WeakMap();
+    const chainShellSize = (parentChain) => {
+      if (parentChain.length === 0) return 0;
+      const shell = parentChain[parentChain.length - 1];
+      if (!chainShellSizes.has(shell)) {
+        chainShellSizes.set(
+          shell,
+          chainShellSize(parentChain.slice(0, -1)) +
+            byteSize(serialize(cloneEmpty(shell)))
+        );
+      }
+      return chainShellSizes.get(shell);
+    };
+
+    // Stylesheet-level statements are repeated in the chunks instead of being
+    // split. Every chunk reserves room for them in its size budget.
+    const preamble = collectPreamble(root, result, postcss);
+    const preambleSize = (index) =>
+      preambleFor(preamble, null, index).reduce(
+        (total, node) => total + byteSize(serialize(node)),
+        0
+      );
+
+    let limit = size; // Size the chunks are filled up to, lowered by the balanced strategy
+    let rollingHash = null; // Boundary detection of the content strategy
+    let lastPreviousChunk = null; // Previous chunk of the last added unit
+
+    // The chunks every unit and @-rule shell was in according to
+    // `previousManifest`, in order and without repeats
+    const previousChunksOf = new Map();
+    if (previousManifest) {
+      const chunksByUnit = readPreviousManifest(previousManifest);
+      const collect = (container, scope) => {
+        const indexes = [];
+        container.each((node) => {
+          if (node.type !== "rule" && node.type !== "atrule") return;
+          let own = [];
+          if (isShell(node, isAtomic) && hasSplittableContent(node)) {
+            own = collect(node, unitKey(scope, node));
+          } else {
+            const queue = chunksByUnit.get(unitKey(scope, node));
+            if (queue && queue.length > 0) own = [queue.shift()];
+          }
+          if (own.length > 0) previousChunksOf.set(node, own);
+          own.forEach((index) => {
+            if (indexes[indexes.length - 1] !== index) indexes.push(index);
+          });
+        });
+        return indexes;
       };
+      collect(root, "");
+    }
+    const pinned = new WeakSet(); // Chunks deliberately started by a break directive or an isolated unit
 
-      /**
-       * Add a node to the current code chunk while handling overflow and recursion.
-       * @param {import('postcss').Node} node The node to be added.
-       * @param {import('postcss').AtRule} [parentShell] The current @-rule shell.
-       * @param {Array<import('postcss').AtRule>} [parentChain] Complete parent @-rule chain.
-       */
-      const addNode = (node, parentShell = null, parentChain = []) => {
-        // Calculate estimated byte size of the node
-        const nodeSize = Buffer.byteLength(node.toString(), "utf8");
-
-        // Extreme case: A single rule's byte size exceeds the limit. Such rules cannot be split.
-        if (size && nodeSize > size) {
-          const identifier =
-            node.type === "rule"
-              ? `starting with selector '${node.selectors[0]}'`
-              : `@-rule '@${node.name}'`;
-          node.warn(
-            result,
-            `${identifier} has an estimated size of ${nodeSize} bytes, exceeding the ${size} byte limit and cannot be split.`
-          );
+    // Decisions of the current distribution, kept for the `report` option
+    let decisions = [];
+    const record = report
+      ? (type, details) => decisions.push(Object.assign({ type }, details))
+      : () => {};
+
+    // Written chunks always get an external source map next to them
+    const mapOptions =
+      output && result.opts.map
+        ? Object.assign({}, result.opts.map, { inline: false })
+        : result.opts.map;
+
+    /**
+     * Complete a closed chunk for output: drop directive comments and prepend
+     * the stylesheet-level statements it needs.
+     * @param {import('postcss').Root} chunk The closed chunk.
+     * @param {number} index The chunk position.
+     */
+    const finishChunk = (chunk, index) => {
+      // Directive comments are instructions for the splitter, not output
+      chunk.walkComments((comment) => {
+        if (readDirective(comment)) comment.remove();
+      });
+      const statements = preambleFor(preamble, chunk, index);
+      if (statements.length > 0) {
+        chunk.prepend(statements.map((node) => node.clone()));
+      }
+    };
+
+    /**
+     * Render a finished chunk exactly as it is emitted, without writing it.
+     * @param {import('postcss').Root} chunk The finished chunk.
+     * @param {number} index The chunk position.
+     * @returns {import('postcss').Result} The chunk result.
+     */
+    const renderChunk = (chunk, index) => {
+      // With entry 'first-chunk' the first chunk is the main output itself
+      if (entry === "first-chunk" && index === 0) {
+        return chunk.toResult({
+          to: result.opts.to,
+          map: result.opts.map,
+        });
+      }
+      if (!output) {
+        return chunk.toResult({
+          map: result.opts.map, // Pass source map options
+        });
+      }
+
+      const file = path.resolve(
+        renderFilename(output, {
+          name: chunkName(result.opts.from),
+          index,
+          css: chunk.toString(),
+        })
+      );
+      return chunk.toResult({ to: file, map: mapOptions });
+    };
+
+    /**
+     * Serialize a closed chunk for measurement. In strict mode this is the
+     * emitted CSS, including the source map annotation.
+     * @param {import('postcss').Root} chunk The closed chunk.
+     * @param {number} index The chunk position.
+     * @returns {string} The CSS to measure.
+     */
+    const chunkCss = (chunk, index) => {
+      if (!strict) {
+        return (
+          preambleFor(preamble, chunk, index).map(serialize).join("") +
+          serialize(chunk)
+        );
+      }
+      const finished = chunk.clone();
+      finishChunk(finished, index);
+      // The annotation is appended after the serialized nodes
+      const emitted = renderChunk(finished, index).css;
+      return serialize(finished) + emitted.slice(finished.toString().length);
+    };
+
+    /**
+     * Measure a closed chunk exactly and move trailing units out of it until
+     * it fits the size limit.
+     * @param {import('postcss').Root} chunk The closed chunk.
+     * @param {number} index The chunk position.
+     * @returns {import('postcss').Root} Units carried over to the next chunk.
+     */
+    const verifyChunk = (chunk, index) => {
+      const carried = postcss.root();
+      let css = chunkCss(chunk, index);
+      let actual = measureCss(css);
+
+      while (actual > limit && hasTrailing(chunk, isAtomic)) {
+        // Move out roughly as many raw bytes as the measured excess amounts to
+        const chunkRatio = actual / Buffer.byteLength(css, "utf8");
+        let excess = (actual - limit) / chunkRatio;
+        do {
+          const node = popTrailing(chunk, isAtomic);
+          excess -= Buffer.byteLength(serialize(node), "utf8");
+          prependCarried(carried, node, isAtomic);
+        } while (excess > 0 && hasTrailing(chunk, isAtomic));
+
+        css = chunkCss(chunk, index);
+        actual = measureCss(css);
+      }
+      if (carried.nodes.length > 0) {
+        record("carry", {
+          chunk: index,
+          units: carried.nodes.length,
+          measured: actual,
+          limit,
+        });
+      }
+
+      if (strict && size && actual > size) {
+        // A single unit is left. Units estimated too large were already reported.
+        let unit = chunk.first;
+        while (isShell(unit, isAtomic) && unit.last) unit = unit.last;
+        const message = `Chunk ${
+          index + 1
+        } has an emitted ${sizeLabel} of ${actual} bytes, exceeding the ${size} byte limit, and its only unit cannot be moved to another chunk.`;
+        if (oversize === "error") throw unit.error(message);
+        if (byteSize(serialize(unit)) <= size) unit.warn(result, message);
+      }
+
+      ratio = actual / Buffer.byteLength(css, "utf8");
+      return carried;
+    };
+
+    /**
+     * Close the current chunk and start a new one.
+     * @param {string} reason Why the chunk is closed, for the report.
+     * @param {import('postcss').Node} [node] The node that caused it.
+     * @param {number} [nodeSize] The estimated size of that node.
+     */
+    const startNewChunk = (reason, node, nodeSize) => {
+      let carried = postcss.root();
+      if (currentChunk.nodes.length > 0) {
+        record(
+          "new-chunk",
+          Object.assign(
+            {
+              chunk: finalChunks.length,
+              reason,
+              size: Math.round(currentChunkSize),
+              selectors: currentChunkSelectors,
+              rules: currentChunkRules,
+              limit,
+            },
+            node ? describeNode(node) : {},
+            nodeSize === undefined ? {} : { nodeSize: Math.round(nodeSize) }
+          )
+        );
+        if ((measure !== "raw" || strict) && limit) {
+          carried = verifyChunk(currentChunk, finalChunks.length);
         }
+        finalChunks.push(currentChunk);
+      }
+      const counts = countRules(carried);
+      currentChunk = carried;
+      currentChunkSize =
+        preambleSize(finalChunks.length) +
+        (carried.nodes.length ? byteSize(serialize(carried)) : 0);
+      currentChunkSelectors = counts.selectors;
+      currentChunkRules = counts.rules;
+    };
 
-        const projectedSize = currentChunkSize + nodeSize;
+    // Check whether adding a node would exceed any of the configured limits
+    const wouldOverflow = (nodeSize, counts) =>
+      Boolean(
+        (limit && currentChunkSize + nodeSize > limit) ||
+          (maxSelectors &&
+            currentChunkSelectors + counts.selectors > maxSelectors) ||
+          (maxRules && currentChunkRules + counts.rules > maxRules)
+      );
 
-        // If the node is an @-rule and adding it completely would cause overflow, we must split its content.
-        if (
-          node.type === "atrule" &&
-          node.nodes &&
-          node.nodes.length > 0 &&
-          size &&
-          projectedSize > size
-        ) {
-          // Special handling: Some @-rules should not be split and must be kept as complete units
-          const nonSplittableAtRules = [
-            "keyframes",
-            "font-face",
-            "page",
-            "counter-style",
-          ];
-          if (nonSplittableAtRules.includes(node.name)) {
-            // If current chunk cannot accommodate this complete @-rule, create a new chunk
-            if (currentChunk.nodes.length > 0) {
-              startNewChunk();
-            }
+    // Account for a node that has been appended to the current chunk
+    const track = (nodeSize, counts) => {
+      currentChunkSize += nodeSize;
+      currentChunkSelectors += counts.selectors;
+      currentChunkRules += counts.rules;
+    };
+
+    /**
+     * Append copies of sibling nodes to the current chunk, reusing the trailing
+     * @-rule shells of the chunk or rebuilding the parent chain as needed.
+     * @param {Array<import('postcss').Node>} nodes The nodes to append.
+     * @param {Array<import('postcss').AtRule>} parentChain Complete parent @-rule chain.
+     * @param {import('postcss').AtRule} [parentShell] The current @-rule shell.
+     */
+    const appendToChain = (nodes, parentChain, parentShell = null) => {
+      // If we need to add a node and have a parent chain, ensure complete nested structure is created
+      if (parentChain.length > 0) {
+        let currentParent = currentChunk;
 
-            // If there's a parent chain, rebuild nested structure
-            if (parentChain.length > 0) {
-              let currentParent = currentChunk;
-
-              for (const parentAtRule of parentChain) {
-                const newParentShell = parentAtRule.clone({ nodes: [] });
-                currentChunkSize += Buffer.byteLength(
-                  newParentShell.toString(),
-                  "utf8"
-                ); // Add shell size
-                currentParent.append(newParentShell);
-                currentParent = newParentShell;
-              }
-
-              // Add complete @-rule to the deepest nested structure
-              currentParent.append(node.clone());
-              currentChunkSize += nodeSize;
-            } else {
-              // Add directly to current chunk
-              const targetParent = parentShell || currentChunk;
-              targetParent.append(node.clone());
-              currentChunkSize += nodeSize;
+        // Rebuild complete nested structure
+        for (const parentAtRule of parentChain) {
+          // Check if the same @-rule already exists
+          let existingShell = null;
+          if (currentParent.nodes.length > 0) {
+            const lastNode = currentParent.last;
+            if (
+              lastNode &&
+              lastNode.type === "atrule" &&
+              lastNode.name === parentAtRule.name &&
+              lastNode.params === parentAtRule.params
+            ) {
+              existingShell = lastNode;
             }
-            return;
           }
 
-          // Check if there's actual content to split (not just empty @-rules)
-          const hasActualContent = node.nodes.some(
-            (child) =>
-              child.type === "rule" ||
-              (child.type === "atrule" && child.nodes && child.nodes.length > 0)
-          );
+          if (!existingShell) {
+            record(
+              "shell",
+              Object.assign(
+                { chunk: finalChunks.length },
+                describeNode(parentAtRule)
+              )
+            );
+            const newParentShell = cloneEmpty(parentAtRule);
+            // Add estimated size of newly created shell
+            currentChunkSize += byteSize(serialize(newParentShell));
+            currentParent.append(newParentShell);
+            currentParent = newParentShell;
+          } else {
+            currentParent = existingShell;
+          }
+        }
 
-          if (!hasActualContent) {
-            // If no actual content, add the entire node directly
-            const targetParent =
-              parentShell && currentChunk.last
-                ? currentChunk.last
-                : currentChunk;
-            targetParent.append(node.clone());
-            currentChunkSize += nodeSize;
-            return;
+        // Add nodes to the deepest nested structure
+        currentParent.append(nodes.map((node) => node.clone()));
+      } else {
+        // Append nodes to the correct parent (either chunk root or parent shell).
+        const targetParent = parentShell || currentChunk;
+        targetParent.append(nodes.map((node) => node.clone())); // Clone nodes to avoid moving the originals
+      }
+    };
+
+    /**
+     * Break a style rule that exceeds the limits into several rules with the
+     * same declarations (by selector list) or the same selector (by
+     * declarations), in source order so the cascade is unchanged.
+     * @param {import('postcss').Rule} rule The oversized rule.
+     * @returns {Array<import('postcss').Rule>|null} The pieces, or `null` if the rule cannot be split.
+     */
+    const splitRule = (rule) => {
+      const pieces = [];
+      const selectors = rule.selectors;
+
+      if (selectors.length > 1) {
+        // Every piece repeats the declaration block
+        const baseSize = byteSize(serialize(rule.clone({ selector: "" })));
+        const separatorSize = byteSize(", ");
+        let group = [];
+        let groupSize = baseSize;
+        selectors.forEach((selector) => {
+          const selectorSize = byteSize(selector) + separatorSize;
+          if (
+            group.length > 0 &&
+            ((size && groupSize + selectorSize > size) ||
+              (maxSelectors && group.length >= maxSelectors))
+          ) {
+            pieces.push(rule.clone({ selectors: group }));
+            group = [];
+            groupSize = baseSize;
           }
+          group.push(selector);
+          groupSize += selectorSize;
+        });
+        pieces.push(rule.clone({ selectors: group }));
+        if (pieces.length > 1) return pieces;
 
-          // Recursively process child nodes of this @-rule without pre-creating shells
-          const newParentChain = [...parentChain, node];
-          node.nodes.forEach((child) =>
-            addNode(child, parentShell, newParentChain)
+        // The estimate missed formatting raws; halve the list and let each half be checked again
+        const half = Math.ceil(selectors.length / 2);
+        return [
+          rule.clone({ selectors: selectors.slice(0, half) }),
+          rule.clone({ selectors: selectors.slice(half) }),
+        ];
+      }
+
+      // Nested rules and @-rules would change meaning when separated from their declarations
+      if (
+        rule.nodes.some(
+          (child) => child.type !== "decl" && child.type !== "comment"
+        )
+      ) {
+        return null;
+      }
+
+      // Declaration blocks are short, so each piece is measured exactly
+      let piece = cloneEmpty(rule);
+      rule.nodes.forEach((child) => {
+        piece.append(child.clone());
+        if (
+          piece.nodes.length > 1 &&
+          size &&
+          byteSize(serialize(piece)) > size
+        ) {
+          piece.last.remove();
+          pieces.push(piece);
+          piece = cloneEmpty(rule);
+          piece.append(child.clone());
+        }
+      });
+      pieces.push(piece);
+      return pieces.length > 1 ? pieces : null;
+    };
+
+    /**
+     * Apply the `oversize` strategy to a unit that exceeds a limit on its own.
+     * @param {import('postcss').Node} node The oversized unit.
+     * @param {Array<string>} problems Descriptions of the exceeded limits.
+     * @param {Array<import('postcss').AtRule>} parentChain Complete parent @-rule chain.
+     * @returns {boolean} Whether the unit has been added to the chunks.
+     */
+    const handleOversize = (node, problems, parentChain) => {
+      record(
+        "oversize",
+        Object.assign(
+          {
+            chunk: finalChunks.length,
+            action: oversize,
+            size: Math.round(estimateSize(node)),
+            problems,
+          },
+          describeNode(node)
+        )
+      );
+      if (oversize === "split" && node.type === "rule" && !isAtomic(node)) {
+        const pieces = splitRule(node);
+        if (pieces) {
+          pieces.forEach((piece) => addNode(piece, null, parentChain));
+          return true;
+        }
+      }
+
+      if (oversize === "error") {
+        throw node.error(`${problems[0]}.`);
+      }
+
+      if (oversize === "isolate") {
+        // Put the unit alone in its own chunk
+        if (currentChunk.nodes.length > 0) startNewChunk("isolate", node);
+        pinned.add(currentChunk);
+        appendToChain([node], parentChain);
+        track(estimateSize(node), ruleCounts(node));
+        startNewChunk("isolate", node);
+        return true;
+      }
+
+      problems.forEach((problem) =>
+        node.warn(result, `${problem} and cannot be split.`)
+      );
+      return false;
+    };
+
+    /**
+     * Add a node to the current code chunk while handling overflow and recursion.
+     * @param {import('postcss').Node} node The node to be added.
+     * @param {import('postcss').AtRule} [parentShell] The current @-rule shell.
+     * @param {Array<import('postcss').AtRule>} [parentChain] Complete parent @-rule chain.
+     */
+    const addNode = (node, parentShell = null, parentChain = []) => {
+      const isUnit = !isShell(node, isAtomic) || !hasSplittableContent(node);
+
+      // Units keep the chunk boundaries of the previous build
+      const previousChunks = previousChunksOf.get(node) || [];
+      const crossesBoundary = [lastPreviousChunk]
+        .concat(previousChunks)
+        .some(
+          (index, i, all) =>
+            i > 0 && all[i - 1] !== null && index !== all[i - 1]
+        );
+      if (isUnit && previousChunks.length > 0) {
+        if (crossesBoundary && currentChunk.nodes.length > 0) {
+          startNewChunk("previous-manifest", node);
+        }
+        lastPreviousChunk = previousChunks[0];
+      }
+
+      // Calculate estimated byte size of the node
+      const nodeSize = estimateSize(node);
+      const counts = ruleCounts(node);
+      const identifier =
+        node.type === "rule"
+          ? `starting with selector '${node.selectors[0]}'`
+          : `@-rule '@${node.name}'`;
+
+      // Extreme case: A single unit exceeds a limit on its own. @-rule shells are
+      // split across chunks instead, so only units that cannot be split count,
+      // measured with the shells rebuilt around them.
+      if (isUnit) {
+        const problems = [];
+        // Inside a rebuilt shell the unit also prints the whitespace before it
+        const chainSize =
+          size && parentChain.length > 0
+            ? nodeSize +
+              chainShellSize(parentChain) +
+              (minified ? 0 : byteSize(node.raws.before || ""))
+            : nodeSize;
+        if (size && chainSize > size) {
+          problems.push(
+            `${identifier} has an estimated ${sizeLabel} of ${Math.round(
+              chainSize
+            )} bytes${
+              parentChain.length > 0 ? " with its enclosing @-rules" : ""
+            }, exceeding the ${size} byte limit`
           );
+        }
+        if (
+          node.type === "rule" &&
+          maxSelectors &&
+          counts.selectors > maxSelectors
+        ) {
+          problems.push(
+            `${identifier} has ${counts.selectors} selectors, exceeding the ${maxSelectors} selector limit`
+          );
+        }
+        if (
+          problems.length > 0 &&
+          handleOversize(node, problems, parentChain)
+        ) {
           return;
         }
+      }
 
-        // Normal flow: If node would cause current chunk to overflow, create a new chunk.
-        if (size && projectedSize > size && currentChunk.nodes.length > 0) {
-          startNewChunk();
-        }
-
-        // If we need to add a node and have a parent chain, ensure complete nested structure is created
-        if (parentChain.length > 0) {
-          let currentParent = currentChunk;
-
-          // Rebuild complete nested structure
-          for (const parentAtRule of parentChain) {
-            // Check if the same @-rule already exists
-            let existingShell = null;
-            if (currentParent.nodes.length > 0) {
-              const lastNode = currentParent.last;
-              if (
-                lastNode &&
-                lastNode.type === "atrule" &&
-                lastNode.name === parentAtRule.name &&
-                lastNode.params === parentAtRule.params
-              ) {
-                existingShell = lastNode;
-              }
-            }
+      const overflows = wouldOverflow(nodeSize, counts);
+
+      // A `break` directive or a previous chunk boundary inside a splittable
+      // @-rule also requires splitting its content
+      const forceSplit =
+        isShell(node, isAtomic) &&
+        node.nodes.length > 0 &&
+        (hasBreak(node) || (!isUnit && crossesBoundary));
 
-            if (!existingShell) {
-              const newParentShell = parentAtRule.clone({ nodes: [] });
-              // Add estimated size of newly created shell
-              currentChunkSize += Buffer.byteLength(
-                newParentShell.toString(),
-                "utf8"
+      // If the node is an @-rule and adding it completely would cause overflow, we must split its content.
+      if (
+        node.type === "atrule" &&
+        node.nodes &&
+        node.nodes.length > 0 &&
+        (overflows || forceSplit)
+      ) {
+        // Special handling: Some @-rules should not be split and must be kept as complete units
+        if (isAtomic(node)) {
+          // If current chunk cannot accommodate this complete @-rule, create a new chunk
+          if (currentChunk.nodes.length > 0) {
+            startNewChunk("atomic", node, nodeSize);
+          }
+          record(
+            "atomic",
+            Object.assign(
+              { chunk: finalChunks.length, size: Math.round(nodeSize) },
+              describeNode(node)
+            )
+          );
+
+          // If there's a parent chain, rebuild nested structure
+          if (parentChain.length > 0) {
+            let currentParent = currentChunk;
+
+            for (const parentAtRule of parentChain) {
+              record(
+                "shell",
+                Object.assign(
+                  { chunk: finalChunks.length },
+                  describeNode(parentAtRule)
+                )
               );
+              const newParentShell = cloneEmpty(parentAtRule);
+              currentChunkSize += byteSize(serialize(newParentShell)); // Add shell size
               currentParent.append(newParentShell);
               currentParent = newParentShell;
-            } else {
-              currentParent = existingShell;
             }
+
+            // Add complete @-rule to the deepest nested structure
+            currentParent.append(node.clone());
+            track(nodeSize, counts);
+          } else {
+            // Add directly to current chunk
+            const targetParent = parentShell || currentChunk;
+            targetParent.append(node.clone());
+            track(nodeSize, counts);
           }
+          return;
+        }
+
+        // Check if there's actual content to split (not just empty @-rules)
+        if (!hasSplittableContent(node)) {
+          // If no actual content, add the entire node directly
+          const targetParent =
+            parentShell && currentChunk.last ? currentChunk.last : currentChunk;
+          targetParent.append(node.clone());
+          track(nodeSize, counts);
+          return;
+        }
+
+        // Recursively process child nodes of this @-rule without pre-creating shells
+        addNodes(node.nodes, [...parentChain, node]);
+        return;
+      }
+
+      // Normal flow: If node would cause current chunk to overflow, create a new chunk.
+      if (overflows && currentChunk.nodes.length > 0) {
+        startNewChunk("overflow", node, nodeSize);
+      }
+
+      appendToChain([node], parentChain, parentShell);
+      track(nodeSize, counts);
+      if (previousChunks.length > 0) {
+        lastPreviousChunk = previousChunks[previousChunks.length - 1];
+      }
+    };
 
-          // Add node to the deepest nested structure
-          currentParent.append(node.clone());
-          currentChunkSize += nodeSize;
+    /**
+     * Add a run of sibling nodes that must stay together in one chunk.
+     * @param {Array<import('postcss').Node>} nodes The nodes between `keep-start` and `keep-end`.
+     * @param {Array<import('postcss').AtRule>} parentChain Complete parent @-rule chain.
+     * @param {import('postcss').Comment} start The `keep-start` directive, used for warnings.
+     */
+    const addGroup = (nodes, parentChain, start) => {
+      if (nodes.length === 0) return;
+
+      let groupSize = 0;
+      const counts = { selectors: 0, rules: 0 };
+      nodes.forEach((node) => {
+        const nodeCounts = ruleCounts(node);
+        groupSize += estimateSize(node);
+        counts.selectors += nodeCounts.selectors;
+        counts.rules += nodeCounts.rules;
+      });
+
+      if (size && groupSize > size) {
+        start.warn(
+          result,
+          `Nodes kept together by this directive have an estimated ${sizeLabel} of ${Math.round(
+            groupSize
+          )} bytes, exceeding the ${size} byte limit.`
+        );
+      }
+
+      if (wouldOverflow(groupSize, counts) && currentChunk.nodes.length > 0) {
+        startNewChunk("keep", start, groupSize);
+      }
+      appendToChain(nodes, parentChain);
+      track(groupSize, counts);
+    };
+
+    /**
+     * Feed top-level nodes that have just been added to the rolling hash of
+     * the content strategy, and close the chunk when they contain a boundary.
+     * @param {Array<import('postcss').Node>} nodes The added nodes.
+     */
+    const endTopLevel = (nodes) => {
+      if (!rollingHash) return;
+      const boundary = rollingHash(nodes.map(serialize).join(""));
+      if (
+        boundary &&
+        currentChunk.nodes.length > 0 &&
+        currentChunkSize >= minSize
+      ) {
+        startNewChunk("content-boundary", nodes[nodes.length - 1]);
+      }
+    };
+
+    /**
+     * Add sibling nodes one at a time, applying `split-chunks` comment
+     * directives.
+     * @param {Array<import('postcss').AtRule>} parentChain Complete parent @-rule chain.
+     * @returns {{ add: (node: import('postcss').Node) => void, end: () => void }}
+     *   `end` must be called after the last sibling.
+     */
+    const siblingAdder = (parentChain) => {
+      let group = null; // Nodes collected since an open `keep-start`
+      let groupStart = null;
+
+      const add = (node) => {
+        const directive = readDirective(node);
+        if (directive === "keep-start") {
+          if (group) {
+            node.warn(result, "Nested keep-start directive is ignored.");
+          } else {
+            group = [];
+            groupStart = node;
+          }
+        } else if (directive === "keep-end") {
+          if (group) {
+            addGroup(group, parentChain, groupStart);
+            if (parentChain.length === 0) endTopLevel(group);
+            group = null;
+          } else {
+            node.warn(
+              result,
+              "keep-end directive without a matching keep-start is ignored."
+            );
+          }
+        } else if (group) {
+          if (directive === "break") {
+            node.warn(
+              result,
+              "break directive inside a keep block is ignored."
+            );
+          } else {
+            group.push(node);
+          }
+        } else if (directive === "break") {
+          if (currentChunk.nodes.length > 0) startNewChunk("break", node);
+          pinned.add(currentChunk);
         } else {
-          // Append node to the correct parent (either chunk root or parent shell).
-          const targetParent = parentShell || currentChunk;
-          targetParent.append(node.clone()); // Clone node to avoid moving the original node
-          currentChunkSize += nodeSize;
+          addNode(node, null, parentChain);
+          if (parentChain.length === 0) endTopLevel([node]);
         }
       };
 
-      root.nodes.forEach((node) => addNode(node));
-      startNewChunk(); // Add the last remaining code chunk.
+      const end = () => {
+        if (group) {
+          groupStart.warn(
+            result,
+            "keep-start directive without a matching keep-end keeps the remaining siblings together."
+          );
+          addGroup(group, parentChain, groupStart);
+        }
+      };
 
-      // Attach generated code chunks to PostCSS result object for use by the main plugin.
-      result.chunks = finalChunks.map((chunk) =>
-        chunk.toResult({
-          map: result.opts.map, // Pass source map options
-        })
+      return { add, end };
+    };
+
+    /**
+     * Add sibling nodes in order, applying `split-chunks` comment directives.
+     * @param {Array<import('postcss').Node>} nodes The sibling nodes.
+     * @param {Array<import('postcss').AtRule>} parentChain Complete parent @-rule chain.
+     */
+    const addNodes = (nodes, parentChain) => {
+      const siblings = siblingAdder(parentChain);
+      nodes.forEach((node) => siblings.add(node));
+      siblings.end();
+    };
+
+    const topLevelNodes = root.nodes.filter(
+      (node) => !preamble.hoisted.has(node)
+    );
+    let topLevel = null; // Adds the top-level nodes of the current distribution
+
+    /**
+     * Start distributing the stylesheet over chunks from scratch.
+     * @param {number} fillLimit Size the chunks are filled up to.
+     */
+    const beginDistribution = (fillLimit) => {
+      limit = fillLimit;
+      ratio = initialRatio;
+      finalChunks = [];
+      currentChunk = postcss.root();
+      currentChunkSize = preambleSize(0);
+      currentChunkSelectors = 0;
+      currentChunkRules = 0;
+      lastPreviousChunk = null;
+      decisions = [];
+      // Boundaries are expected about a quarter of the way from minSize to size
+      rollingHash =
+        strategy === "content"
+          ? createRollingHash(Math.max(1, (size - minSize) / 4 / ratio))
+          : null;
+      topLevel = siblingAdder([]);
+    };
+
+    // Close the distribution after the last top-level node
+    const endDistribution = () => {
+      topLevel.end();
+      // Add the last remaining code chunk, along with anything its verification carries over.
+      do {
+        startNewChunk("end");
+      } while (currentChunk.nodes.length > 0);
+    };
+
+    /**
+     * Distribute the stylesheet over chunks, filling each up to a limit.
+     * @param {number} fillLimit Size the chunks are filled up to.
+     */
+    const distribute = (fillLimit) => {
+      beginDistribution(fillLimit);
+      topLevelNodes.forEach((node) => topLevel.add(node));
+      endDistribution();
+    };
+
+    /**
+     * Move trailing units of the second to last chunk into the last chunk
+     * until it reaches `minSize`, as long as both chunks stay within the
+     * limits and the second to last chunk does not drop below `minSize`.
+     */
+    const fillLastChunk = () => {
+      const lastIndex = finalChunks.length - 1;
+      const previous = finalChunks[lastIndex - 1];
+      if (pinned.has(finalChunks[lastIndex])) return;
+
+      const sizeOf = (chunk, index) => measureCss(chunkCss(chunk, index));
+      let last = finalChunks[lastIndex];
+      let lastSize = sizeOf(last, lastIndex);
+      let previousSize = sizeOf(previous, lastIndex - 1);
+      let moved = 0;
+      while (lastSize < minSize && hasTrailing(previous, isAtomic)) {
+        const node = popTrailing(previous, isAtomic);
+        // The last chunk is small, so trying the move on a copy is cheap
+        const candidate = last.clone();
+        prependCarried(candidate, node.clone(), isAtomic);
+        const candidateSize = sizeOf(candidate, lastIndex);
+        const counts = countRules(candidate);
+        if (
+          (size && candidateSize > size) ||
+          (maxSelectors && counts.selectors > maxSelectors) ||
+          (maxRules && counts.rules > maxRules) ||
+          previousSize - (candidateSize - lastSize) < minSize
+        ) {
+          appendCarried(previous, node, isAtomic);
+          break;
+        }
+        previousSize -= candidateSize - lastSize;
+        last = candidate;
+        lastSize = candidateSize;
+        moved += 1;
+      }
+      finalChunks[lastIndex] = last;
+      if (moved > 0) {
+        record("fill-last", {
+          chunk: lastIndex,
+          units: moved,
+          measured: lastSize,
+          minSize,
+        });
+      }
+    };
+
+    /**
+     * Split a chunk in two halves of about the same estimated size.
+     * @param {number} index Position of the chunk to split.
+     */
+    const halveChunk = (index) => {
+      const chunk = finalChunks[index];
+      const carried = postcss.root();
+      let excess = byteSize(serialize(chunk)) / 2;
+      while (excess > 0 && hasTrailing(chunk, isAtomic)) {
+        const node = popTrailing(chunk, isAtomic);
+        excess -= byteSize(serialize(node));
+        prependCarried(carried, node, isAtomic);
+      }
+      finalChunks.splice(index + 1, 0, carried);
+      decisions.forEach((decision) => {
+        if (decision.chunk > index) decision.chunk += 1;
+      });
+      record("halve", { chunk: index, units: carried.nodes.length });
+    };
+
+    /**
+     * Move trailing units back to later chunks while that makes neighbours
+     * more even. Only used without a size limit, so estimates are enough.
+     */
+    const evenOut = () => {
+      const sizes = finalChunks.map((chunk) => byteSize(serialize(chunk)));
+      for (let index = finalChunks.length - 1; index > 0; index--) {
+        const chunk = finalChunks[index];
+        const previous = finalChunks[index - 1];
+        if (pinned.has(chunk)) continue;
+
+        const counts = countRules(chunk);
+        let moved = 0;
+        while (hasTrailing(previous, isAtomic)) {
+          const node = popTrailing(previous, isAtomic);
+          const nodeSize = byteSize(serialize(node));
+          const nodeCounts = countRules(node);
+          if (
+            sizes[index] + nodeSize > sizes[index - 1] - nodeSize ||
+            (maxSelectors &&
+              counts.selectors + nodeCounts.selectors > maxSelectors) ||
+            (maxRules && counts.rules + nodeCounts.rules > maxRules)
+          ) {
+            appendCarried(previous, node, isAtomic);
+            break;
+          }
+          prependCarried(chunk, node, isAtomic);
+          sizes[index] += nodeSize;
+          sizes[index - 1] -= nodeSize;
+          counts.selectors += nodeCounts.selectors;
+          counts.rules += nodeCounts.rules;
+          moved += 1;
+        }
+        if (moved > 0) {
+          record("even-out", { chunk: index, units: moved });
+        }
+      }
+    };
+
+    const messageCount = result.messages.length;
+
+    /**
+     * Redistribute with the lowest fill limit that needs no more than a number
+     * of chunks. Warnings are only kept from the last distribution.
+     * @param {number} count The number of chunks not to exceed.
+     * @param {number} low Lower bound of the fill limit.
+     * @param {number} high A fill limit known to need no more than `count` chunks.
+     */
+    const distributeEvenly = (count, low, high) => {
+      while (low < high) {
+        const middle = Math.floor((low + high) / 2);
+        result.messages.splice(messageCount);
+        distribute(middle);
+        if (finalChunks.length <= count) {
+          high = middle;
+        } else {
+          low = middle + 1;
+        }
+      }
+      result.messages.splice(messageCount);
+      distribute(high);
+    };
+
+    /**
+     * Plan every chunk up front, for the strategies that compare complete
+     * distributions.
+     */
+    const plan = () => {
+      const totalSize = estimateSize(root);
+      if (chunkCount) {
+        // A limit above the whole stylesheet gives the fewest possible chunks
+        const high = Math.ceil(totalSize + preambleSize(0)) + 1;
+        distribute(high);
+        if (finalChunks.length > chunkCount) {
+          root.warn(
+            result,
+            `Cannot split the stylesheet into ${chunkCount} chunks, break directives and the selector and rule limits require at least ${finalChunks.length}.`
+          );
+        } else {
+          distributeEvenly(
+            chunkCount,
+            Math.min(high, Math.floor(totalSize / chunkCount)),
+            high
+          );
+          // Halve the largest chunks when the limit skips past the count
+          while (finalChunks.length > 0 && finalChunks.length < chunkCount) {
+            const lengths = finalChunks.map((chunk) =>
+              hasTrailing(chunk, isAtomic) ? serialize(chunk).length : -1
+            );
+            const largest = lengths.indexOf(Math.max(...lengths));
+            if (lengths[largest] < 0) {
+              root.warn(
+                result,
+                `Cannot split the stylesheet into ${chunkCount} chunks, its units that cannot be split only allow ${finalChunks.length}.`
+              );
+              break;
+            }
+            halveChunk(largest);
+          }
+          // The lowest limit fills the first chunks and leaves the rest to the last
+          evenOut();
+        }
+      } else {
+        distribute(size);
+
+        // Greedy filling gives the fewest chunks. The lowest limit that still gives
+        // no more chunks spreads the content evenly over them.
+        if (strategy === "balanced" && size && finalChunks.length > 1) {
+          const count = finalChunks.length;
+          distributeEvenly(
+            count,
+            Math.min(size, Math.floor(totalSize / count)),
+            size
+          );
+        }
+      }
+    };
+
+    // Closing the stylesheet ends the last chunk and may change the one before
+    const finish = () => {
+      // Content-defined boundaries must not depend on where the stylesheet ends
+      if (minSize && finalChunks.length > 1 && strategy !== "content") {
+        fillLastChunk();
+      }
+
+      // Imports must still be loaded when there is nothing else to split
+      if (finalChunks.length === 0 && preamble.imports.length > 0) {
+        finalChunks.push(postcss.root({ raws: { semicolon: true } }));
+      }
+    };
+
+    // Chunks are handed out as soon as they are closed, except when the
+    // strategy needs the whole stylesheet, or minSize may still move units
+    // out of the second to last chunk.
+    const planned = Boolean(chunkCount) || strategy === "balanced";
+    const lag = minSize && strategy !== "content" ? 2 : 0;
+    let phase = "start"; // start, streaming or done
+    let position = 0; // Next top-level node to add while streaming
+    let released = 0; // Chunks handed out so far
+
+    /**
+     * Hand out the next chunk, adding as many input nodes as needed to close
+     * it. Released chunks are no longer referenced by the engine.
+     * @returns {{ chunk: import('postcss').Root, index: number }|null} The chunk, or `null` after the last one.
+     */
+    const next = () => {
+      if (phase === "start") {
+        if (planned) {
+          plan();
+          finish();
+          phase = "done";
+        } else {
+          beginDistribution(size);
+          phase = "streaming";
+        }
+      }
+      while (phase === "streaming" && released >= finalChunks.length - lag) {
+        if (position < topLevelNodes.length) {
+          topLevel.add(topLevelNodes[position++]);
+        } else {
+          endDistribution();
+          finish();
+          phase = "done";
+        }
+      }
+      if (released >= finalChunks.length) return null;
+
+      const index = released++;
+      const chunk = finalChunks[index];
+      finalChunks[index] = null;
+      return { chunk, index };
+    };
+
+    /**
+     * List the unit keys of a chunk, before it is finished.
+     * @param {import('postcss').Root} chunk The released chunk.
+     * @returns {Array<string>}
+     */
+    const units = (chunk) => {
+      const keys = [];
+      eachUnit(chunk, isAtomic, (node, scope) =>
+        keys.push(unitKey(scope, node))
       );
+      return keys;
+    };
+
+    /**
+     * Describe the content of a chunk, before it is finished.
+     * @param {import('postcss').Root} chunk The released chunk.
+     * @returns {{ selectorCount: number, ruleCount: number, shells: Array<string>, oversized: boolean }}
+     *   `shells` lists the distinct preludes of the split @-rules in the chunk.
+     */
+    const describe = (chunk) => {
+      const counts = countRules(chunk);
+      const shells = [];
+      let oversized = false;
+      const visit = (container) => {
+        container.each((node) => {
+          if (isShell(node, isAtomic) && hasSplittableContent(node)) {
+            const prelude = `@${node.name} ${node.params}`
+              .replace(/\s+/g, " ")
+              .trim();
+            if (!shells.includes(prelude)) shells.push(prelude);
+            visit(node);
+          } else if (node.type === "rule" || node.type === "atrule") {
+            // A unit that exceeds a limit on its own
+            oversized =
+              oversized ||
+              Boolean(size && estimateSize(node) > size) ||
+              Boolean(
+                node.type === "rule" &&
+                  maxSelectors &&
+                  node.selectors.length > maxSelectors
+              );
+          }
+        });
+      };
+      visit(chunk);
+      return {
+        selectorCount: counts.selectors,
+        ruleCount: counts.rules,
+        shells,
+        oversized,
+      };
+    };
+
+    return {
+      next,
+      units,
+      describe,
+      finishChunk,
+      renderChunk,
+      decisions: () => decisions,
+      // The resolved limits, for the report
+      settings: {
+        size,
+        maxSelectors,
+        maxRules,
+        measure,
+        strategy,
+        minSize,
+        chunks: chunkCount,
+      },
+    };
+  };
+};
+
+module.exports = (opts = {}) => {
+  const split = createSplitter(opts);
+  const { output, manifest, entry = "empty", report, runtime } = opts;
+
+  return {
+    postcssPlugin: "postcss-chunk-by-size", // Plugin name
+
+    Once(root, { result, postcss }) {
+      const splitter = split(root, result, postcss);
+      const finalChunks = [];
+      const chunkUnits = [];
+      const contents = [];
+      for (let next = splitter.next(); next; next = splitter.next()) {
+        // Units are listed before the stylesheet-level statements are added
+        chunkUnits.push(splitter.units(next.chunk));
+        contents.push(splitter.describe(next.chunk));
+        splitter.finishChunk(next.chunk, next.index);
+        finalChunks.push(next.chunk);
+      }
+
+      // Attach generated code chunks to PostCSS result object for use by the main plugin.
+      result.chunks = finalChunks.map((chunk, index) => {
+        const chunkResult = splitter.renderChunk(chunk, index);
+        if (output && !(entry === "first-chunk" && index === 0)) {
+          writeChunk(chunkResult);
+        }
+        return chunkResult;
+      });
+
+      // Paths are relative to the manifest file when it is written, or to the
+      // working directory.
+      const manifestFile =
+        manifest &&
+        manifestPath(
+          manifest,
+          result.chunks.length ? result.chunks[0].opts.to : undefined
+        );
+      const manifestBase = manifestFile
+        ? path.dirname(manifestFile)
+        : process.cwd();
+
+      // Describe every chunk for build dashboards
+      result.chunks.forEach((chunkResult, index) => {
+        chunkResult.meta = {
+          index,
+          bytes: Buffer.byteLength(chunkResult.css, "utf8"),
+          gzipBytes: measurers.gzip(chunkResult.css),
+          selectorCount: contents[index].selectorCount,
+          ruleCount: contents[index].ruleCount,
+          shells: contents[index].shells,
+          sources: sourceRanges(finalChunks[index], manifestBase),
+          oversized: contents[index].oversized,
+        };
+      });
+
+      // Describe every chunk for deploy tooling
+      result.manifest = {
+        chunks: finalChunks.map((chunk, index) => {
+          const chunkResult = result.chunks[index];
+          return {
+            index,
+            file: chunkResult.opts.to
+              ? relativePath(manifestBase, chunkResult.opts.to)
+              : null,
+            bytes: chunkResult.meta.bytes,
+            hash: contentHash(chunk.toString()),
+            integrity: integrity(chunkResult.css),
+            sources: chunkResult.meta.sources,
+            units: chunkUnits[index],
+          };
+        }),
+      };
+      if (manifestFile) {
+        writeManifest(manifestFile, result.manifest);
+      }
+
+      // Explain the boundaries, for tuning the limits
+      if (report) {
+        result.report = {
+          options: splitter.settings,
+          chunks: result.chunks.map((chunkResult) => chunkResult.meta),
+          decisions: splitter.decisions(),
+        };
+        writeReport(
+          reportPath(
+            report,
+            result.chunks.length ? result.chunks[0].opts.to : undefined
+          ),
+          result.report
+        );
+      }
+
+      // Load the chunks in order from the browser
+      const chunkFiles = result.chunks
+        .map((chunkResult) => chunkResult.opts.to)
+        .filter(Boolean);
+      if (runtime && chunkFiles.length > 0) {
+        const name = chunkName(result.opts.from);
+        writeRuntime(
+          runtimePath(runtime, chunkFiles[0], name),
+          name,
+          chunkFiles
+        );
+      }
 
       // Clear original root node to prevent unsplit CSS from being output.
       root.removeAll();
+
+      // Turn the main output into an entry point for the chunks.
+      if (entry === "imports") {
+        const entryFile = result.opts.to || result.opts.from;
+        const entryBase = entryFile
+          ? path.dirname(path.resolve(entryFile))
+          : process.cwd();
+        result.chunks.forEach((chunkResult) => {
+          root.append(
+            postcss.atRule({
+              name: "import",
+              params: `url("${relativePath(entryBase, chunkResult.opts.to)}")`,
+            })
+          );
+        });
+        root.raws.semicolon = true;
+      } else if (entry === "first-chunk" && finalChunks.length > 0) {
+        root.append(finalChunks[0].nodes.map((node) => node.clone()));
+      }
     },
   };
 };
 
 module.exports.postcss = true;
+
+/**
+ * Split a stylesheet outside of a PostCSS pipeline and receive the chunks one
+ * at a time, as soon as they are closed. It takes the plugin options, except
+ * `manifest`, `entry`, `report` and `runtime`, and the `from`, `to` and `map`
+ * process options.
+ * Nothing is written to disk and the given root is left unchanged.
+ * @param {string|import('postcss').Root} cssOrRoot The CSS, or an already parsed root.
+ * @param {object} [opts] Plugin and process options.
+ * @returns {AsyncIterableIterator<{ index: number, css: string, map: object|undefined, bytes: number }>}
+ *   The chunks, with a `warnings()` method listing the warnings reported so far.
+ */
+module.exports.splitChunks = (cssOrRoot, opts = {}) => {
+  const postcss = require("postcss");
+  const split = createSplitter(
+    Object.assign({}, opts, { entry: "empty", report: false, runtime: false })
+  );
+  const processOptions = { from: opts.from, to: opts.to, map: opts.map };
+  let result = null;
+  let splitter = null;
+  let done = false;
+
+  // Work is done on later ticks, so parse errors reject the first chunk
+  const nextChunk = () => {
+    if (done) return { done: true, value: undefined };
+    if (!splitter) {
+      const root =
+        typeof cssOrRoot === "string"
+          ? postcss.parse(cssOrRoot, processOptions)
+          : cssOrRoot;
+      result = new postcss.Result(postcss(), root, processOptions);
+      // Warnings name the plugin as they do in a PostCSS pipeline
+      result.lastPlugin = { postcssPlugin: "postcss-chunk-by-size" };
+      splitter = split(root, result, postcss);
+    }
+
+    const next = splitter.next();
+    if (!next) {
+      done = true;
+      return { done: true, value: undefined };
+    }
+    splitter.finishChunk(next.chunk, next.index);
+    const chunkResult = splitter.renderChunk(next.chunk, next.index);
+    return {
+      done: false,
+      value: {
+        index: next.index,
+        css: chunkResult.css,
+        map: chunkResult.map,
+        bytes: Buffer.byteLength(chunkResult.css, "utf8"),
+      },
+    };
+  };
+
+  return {
+    next() {
+      return new Promise((resolve) => setImmediate(resolve))
+        .then(nextChunk)
+        .catch((error) => {
+          done = true;
+          throw error;
+        });
+    },
+    return() {
+      done = true;
+      return Promise.resolve({ done: true, value: undefined });
+    },
+    warnings: () => (result ? result.warnings() : []),
+    [Symbol.asyncIterator]() {
+      return this;
+    },
+  };
+};
@@ -63,8 +63,10 @@ describe("postcss-chunker-recursive", () => {
 
     test("should return plugin object with correct structure", () => {
       const pluginInstance = plugin();
-      assert.ok(pluginInstance.hasOwnProperty("postcssPlugin"));
-      assert.ok(pluginInstance.hasOwnProperty("Once"));
+      assert.ok(
+        Object.prototype.hasOwnProperty.call(pluginInstance, "postcssPlugin")
+      );
+      assert.ok(Object.prototype.hasOwnProperty.call(pluginInstance, "Once"));
       assert.strictEqual(pluginInstance.postcssPlugin, "postcss-chunk-by-size");
     });
 
@@ -250,6 +252,72 @@ describe("postcss-chunker-recursive", () => {
       assert.strictEqual(hasNestedStructure, true);
     });
 
+    test("should declare the layer order in every layered chunk", async () => {
+      const css = `
+        @layer reset, base, components, utilities;
+        @layer base {
+          .class1 {color:red}
+          .class2 {color:blue}
+        }
+        @layer utilities {
+          .class3 {margin:0}
+        }
+        .class4 {color:green}
+      `;
+      const result = await runPlugin(css, { size: 100 });
+
+      assert.ok(result.chunks.length > 2);
+      result.chunks.forEach((chunk) => {
+        if (
+          chunk.css.includes("@layer base") ||
+          chunk.css.includes("@layer utilities")
+        ) {
+          assert.ok(
+            chunk.css
+              .trim()
+              .startsWith("@layer reset, base, components, utilities;")
+          );
+        }
+      });
+
+      // Chunks without layered content do not need the declaration
+      const lastChunk = result.chunks[result.chunks.length - 1];
+      assert.ok(lastChunk.css.includes(".class4"));
+      assert.ok(!lastChunk.css.includes("@layer"));
+    });
+
+    test("should collect layer order from nested and imported layers", async () => {
+      const css = `
+        @import url("vendor.css") layer(vendor);
+        @layer base {
+          .class1 {color:red}
+        }
+        @media screen {
+          @layer components {
+            @layer buttons {
+              .class2 {color:blue}
+            }
+          }
+        }
+        @layer base {
+          .class3 {color:green}
+        }
+      `;
+      const result = await runPlugin(css, { size: 1 });
+
+      const order = "@layer vendor, base, components, components.buttons;";
+      assert.ok(result.chunks.length > 1);
+      result.chunks.forEach((chunk) => {
+        assert.ok(chunk.css.includes(order));
+        assert.strictEqual(chunk.css.split("@layer vendor").length, 2);
+      });
+      // The order is declared before @import
+      assert.ok(
+        result.chunks[0].css.indexOf(order) <
+          result.chunks[0].css.indexOf("@import")
+      );
+    });
+
     test("should handle keyframe animations", async () => {
       const css = `
         @keyframes slideIn {
@@ -725,6 +793,37 @@ describe("postcss-chunker-recursive", () => {
       assert.ok(result.chunks.length > 0);
       assert.ok(endTime - startTime < 1000); // Should complete within 1 second
     });
+
+    test("should size deeply nested @-rules in linear time", async () => {
+      // Every level holds rules, so sizing a level or its enclosing @-rules
+      // again for each unit would serialize the input hundreds of times over.
+      // The same rules without the @-rules set the time to compare against.
+      const depth = 300;
+      let flat = "";
+      let css = "";
+      for (let level = 0; level < depth; level++) {
+        css += `@supports (--level-${level}: 1) {\n`;
+        for (let i = 0; i < 20; i++) {
+          flat += `.level${level}-rule${i} { color: red; }\n`;
+          css += `.level${level}-rule${i} { color: red; }\n`;
+        }
+      }
+      css += "}\n".repeat(depth);
+
+      let startTime = Date.now();
+      await runPlugin(flat, { size: 20000 });
+      const flatTime = Date.now() - startTime;
+
+      startTime = Date.now();
+      const result = await runPlugin(css, { size: 20000 });
+      const nestedTime = Date.now() - startTime;
+
+      assert.ok(result.chunks.length > 1);
+      assert.ok(
+        nestedTime < flatTime * 3,
+        `nested input took ${nestedTime} ms, the same rules flat ${flatTime} ms`
+      );
+    });
   });
 
   describe("Integration tests", () => {
@@ -970,4 +1069,2586 @@ describe("postcss-chunker-recursive", () => {
       assert.ok(allCSS.includes("color:green"));
     });
   });
+
+  describe("Selector and rule limits", () => {
+    test("should close a chunk when maxSelectors would be exceeded", async () => {
+      const css = ".a, .b {color:red} .c, .d {color:blue} .e, .f {color:green}";
+      const result = await runPlugin(css, { size: 10000, maxSelectors: 4 });
+
+      assert.strictEqual(result.chunks.length, 2);
+      result.chunks.forEach((chunk) => {
+        assert.ok(countSelectors(chunk.css) <= 4);
+      });
+    });
+
+    test("should close a chunk when maxRules would be exceeded", async () => {
+      const css =
+        ".a{color:red} .b{color:blue} .c{color:green} .d{color:yellow}";
+      const result = await runPlugin(css, { size: 10000, maxRules: 3 });
+
+      assert.strictEqual(result.chunks.length, 2);
+      assert.ok(result.chunks[0].css.includes(".c"));
+      assert.ok(result.chunks[1].css.includes(".d"));
+    });
+
+    test("should count selectors inside rebuilt @media shells", async () => {
+      const css = `
+        .a, .b {color:red}
+        @media screen {
+          .c, .d {color:blue}
+          .e, .f {color:green}
+        }
+      `;
+      const result = await runPlugin(css, { size: 10000, maxSelectors: 4 });
+
+      assert.strictEqual(result.chunks.length, 2);
+      assert.ok(result.chunks[0].css.includes(".c, .d"));
+      assert.ok(result.chunks[1].css.includes("@media screen"));
+      assert.ok(result.chunks[1].css.includes(".e, .f"));
+    });
+
+    test("should not count keyframe selectors", async () => {
+      const css = `
+        @keyframes fade { from { opacity: 0; } to { opacity: 1; } }
+        .a, .b {animation:fade 1s}
+      `;
+      const result = await runPlugin(css, { size: 10000, maxSelectors: 2 });
+
+      assert.strictEqual(result.chunks.length, 1);
+    });
+
+    test("should warn about rules with more selectors than maxSelectors", async () => {
+      const css = ".a, .b, .c {color:red}";
+      const result = await runPlugin(css, { size: 10000, maxSelectors: 2 });
+
+      assert.strictEqual(result.chunks.length, 1);
+      assert.ok(result.warnings[0].text.includes("2 selector limit"));
+    });
+  });
+
+  describe("Compressed size measurement", () => {
+    const zlib = require("zlib");
+    const rules = [];
+    for (let i = 0; i < 200; i++) {
+      rules.push(
+        `.item-${i} { color: red; padding: ${i % 7}px; margin: 0 auto; }`
+      );
+    }
+    const css = rules.join("\n");
+
+    test("should fill chunks up to the gzip size limit", async () => {
+      const result = await runPlugin(css, { size: 600, measure: "gzip" });
+
+      assert.ok(result.chunks.length > 1);
+      result.chunks.forEach((chunk) => {
+        assert.ok(zlib.gzipSync(chunk.css).length <= 600);
+      });
+
+      // Compressed limits fit far more raw CSS per chunk
+      const raw = await runPlugin(css, { size: 600 });
+      assert.ok(result.chunks.length < raw.chunks.length);
+    });
+
+    test("should fill chunks up to the brotli size limit", async () => {
+      const result = await runPlugin(css, { size: 200, measure: "brotli" });
+
+      assert.ok(result.chunks.length > 1);
+      result.chunks.forEach((chunk) => {
+        assert.ok(zlib.brotliCompressSync(chunk.css).length <= 200);
+      });
+    });
+
+    test("should move trailing rules out of @media shells when verifying", async () => {
+      const media = `@media screen { ${rules.slice(0, 100).join("\n")} }`;
+      const result = await runPlugin(media, { size: 400, measure: "gzip" });
+
+      assert.ok(result.chunks.length > 1);
+      result.chunks.forEach((chunk) => {
+        assert.ok(chunk.css.startsWith("@media screen"));
+        assert.ok(zlib.gzipSync(chunk.css).length <= 400);
+      });
+
+      // Verify every rule is emitted exactly once and in order
+      const allCSS = result.chunks.map((c) => c.css).join("\n");
+      const order = allCSS.match(/\.item-\d+/g);
+      assert.deepStrictEqual(
+        order,
+        rules.slice(0, 100).map((rule) => rule.split(" ")[0])
+      );
+    });
+
+    test("should reject unknown measure modes", () => {
+      assert.throws(() => plugin({ measure: "zstd" }), /unknown measure/);
+    });
+  });
+
+  describe("Minified size measurement", () => {
+    const css = `
+      /* Buttons */
+      .a {
+        color : red;
+      }
+
+      .b {
+        color : blue;
+      }
+    `;
+    // Minified: ".a{color:red}.b{color:blue}"
+    const minifiedSize = 27;
+
+    test("should size nodes by their minified serialization", async () => {
+      const result = await runPlugin(css, {
+        size: minifiedSize,
+        minified: true,
+      });
+
+      assert.strictEqual(result.chunks.length, 1);
+      // Output keeps the original formatting
+      assert.ok(result.chunks[0].css.includes("color : red"));
+    });
+
+    test("should size nodes by their source text by default", async () => {
+      const result = await runPlugin(css, { size: minifiedSize });
+
+      assert.ok(result.chunks.length > 1);
+    });
+
+    test("should minify shells and nested rules when sizing", async () => {
+      const nested = `
+        @media screen and ( max-width : 768px ) {
+          .a > .b ,
+          .c { color : red ; margin : 0 auto !important ; }
+        }
+      `;
+      // "@media screen and (max-width:768px){.a>.b,.c{color:red;margin:0 auto!important}}"
+      const result = await runPlugin(nested, { size: 80, minified: true });
+
+      assert.strictEqual(result.chunks.length, 1);
+      assert.strictEqual(result.warnings.length, 0);
+
+      const source = await runPlugin(nested, { size: 80 });
+      assert.ok(source.warnings[0].text.includes("exceeding"));
+    });
+  });
+
+  describe("Output files", () => {
+    const fs = require("fs");
+    const os = require("os");
+    const path = require("path");
+
+    const withTempDir = async (callback) => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "split-chunks-"));
+      try {
+        await callback(dir);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    };
+
+    test("should write every chunk using the filename template", async () => {
+      await withTempDir(async (dir) => {
+        const css = ".a{color:red} .b{color:blue} .c{color:green}";
+        const result = await postcss([
+          plugin({
+            size: 15,
+            output: path.join(dir, "nested/[name].[index].[contenthash:8].css"),
+          }),
+        ]).process(css, { from: "src/app.css" });
+
+        assert.strictEqual(result.chunks.length, 3);
+        const files = fs.readdirSync(path.join(dir, "nested")).sort();
+        assert.strictEqual(files.length, 3);
+        files.forEach((file, index) => {
+          assert.match(
+            file,
+            new RegExp(`^app\\.${index + 1}\\.[0-9a-f]{8}\\.css$`)
+          );
+        });
+
+        result.chunks.forEach((chunk) => {
+          assert.strictEqual(fs.readFileSync(chunk.opts.to, "utf8"), chunk.css);
+        });
+      });
+    });
+
+    test("should write external source maps next to the chunks", async () => {
+      await withTempDir(async (dir) => {
+        const css = ".a{color:red} .b{color:blue}";
+        const result = await postcss([
+          plugin({ size: 15, output: path.join(dir, "[name]-[index].css") }),
+        ]).process(css, { from: "app.css", map: true });
+
+        assert.strictEqual(result.chunks.length, 2);
+        const chunkCss = fs.readFileSync(path.join(dir, "app-2.css"), "utf8");
+        assert.ok(chunkCss.includes("sourceMappingURL=app-2.css.map"));
+
+        const map = JSON.parse(
+          fs.readFileSync(path.join(dir, "app-2.css.map"), "utf8")
+        );
+        assert.strictEqual(map.file, "app-2.css");
+        assert.ok(map.sources.some((source) => source.endsWith("app.css")));
+      });
+    });
+
+    test("should keep content hashes stable for unchanged chunks", async () => {
+      await withTempDir(async (dir) => {
+        const output = path.join(dir, "[contenthash].css");
+        const run = (css) =>
+          postcss([plugin({ size: 15, output })]).process(css, {
+            from: "app.css",
+          });
+
+        const first = await run(".a{color:red} .b{color:blue}");
+        const second = await run(".a{color:red} .b{color:pink}");
+
+        assert.strictEqual(first.chunks[0].opts.to, second.chunks[0].opts.to);
+        assert.notStrictEqual(
+          first.chunks[1].opts.to,
+          second.chunks[1].opts.to
+        );
+      });
+    });
+  });
+
+  describe("Chunk manifest", () => {
+    const crypto = require("crypto");
+    const fs = require("fs");
+    const os = require("os");
+    const path = require("path");
+
+    const css = `.a { color: red; }
+.b { color: blue; }
+@media screen {
+  .c { color: green; }
+  .d { color: pink; }
+}`;
+
+    test("should attach a manifest describing every chunk", async () => {
+      const result = await postcss([plugin({ size: 40 })]).process(css, {
+        from: path.resolve("src/app.css"),
+      });
+      const { chunks } = result.manifest;
+
+      assert.strictEqual(chunks.length, result.chunks.length);
+      chunks.forEach((entry, index) => {
+        const chunkCss = result.chunks[index].css;
+        assert.strictEqual(entry.index, index);
+        assert.strictEqual(entry.file, null);
+        assert.strictEqual(entry.bytes, Buffer.byteLength(chunkCss, "utf8"));
+        assert.match(entry.hash, /^[0-9a-f]{32}$/);
+        assert.strictEqual(
+          entry.integrity,
+          "sha384-" +
+            crypto.createHash("sha384").update(chunkCss).digest("base64")
+        );
+      });
+
+      assert.deepStrictEqual(chunks[0].sources, [
+        { file: "src/app.css", startLine: 1, endLine: 2 },
+      ]);
+      // Rebuilt @media shells do not widen the range to the whole block
+      const last = chunks[chunks.length - 1];
+      assert.deepStrictEqual(last.sources, [
+        { file: "src/app.css", startLine: 5, endLine: 5 },
+      ]);
+    });
+
+    test("should write manifest.json next to the chunk files", async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "split-chunks-"));
+      try {
+        const result = await postcss([
+          plugin({
+            size: 40,
+            output: path.join(dir, "css/[name].[index].css"),
+            manifest: true,
+          }),
+        ]).process(css, { from: "app.css" });
+
+        const written = JSON.parse(
+          fs.readFileSync(path.join(dir, "css/manifest.json"), "utf8")
+        );
+        assert.deepStrictEqual(written, result.manifest);
+        assert.deepStrictEqual(
+          written.chunks.map((entry) => entry.file),
+          result.chunks.map((chunk, index) => `app.${index + 1}.css`)
+        );
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    test("should write the manifest to a custom path", async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "split-chunks-"));
+      try {
+        await postcss([
+          plugin({
+            size: 40,
+            output: path.join(dir, "css/[name].[index].css"),
+            manifest: path.join(dir, "meta/chunks.json"),
+          }),
+        ]).process(css, { from: "app.css" });
+
+        const written = JSON.parse(
+          fs.readFileSync(path.join(dir, "meta/chunks.json"), "utf8")
+        );
+        assert.strictEqual(written.chunks[0].file, "../css/app.1.css");
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe("Entry stylesheet", () => {
+    const fs = require("fs");
+    const os = require("os");
+    const path = require("path");
+
+    const css = ".a{color:red} .b{color:blue} .c{color:green}";
+
+    test("should leave the main output empty by default", async () => {
+      const result = await runPlugin(css, { size: 15 });
+
+      assert.strictEqual(result.chunks.length, 3);
+      assert.strictEqual(result.css, "");
+    });
+
+    test("should replace the root with ordered @import statements", async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "split-chunks-"));
+      try {
+        const result = await postcss([
+          plugin({
+            size: 15,
+            output: path.join(dir, "chunks/[name].[index].css"),
+            entry: "imports",
+          }),
+        ]).process(css, {
+          from: "src/app.css",
+          to: path.join(dir, "app.css"),
+        });
+
+        assert.strictEqual(
+          result.css,
+          [1, 2, 3]
+            .map((index) => `@import url("chunks/app.${index}.css");`)
+            .join("\n")
+        );
+        result.root.walkAtRules("import", (atRule, index) => {
+          const file = path.join(dir, atRule.params.slice(5, -2));
+          assert.strictEqual(
+            fs.readFileSync(file, "utf8"),
+            result.chunks[index].css
+          );
+        });
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    test("should keep the first chunk in place", async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "split-chunks-"));
+      try {
+        const result = await postcss([
+          plugin({
+            size: 15,
+            output: path.join(dir, "[name].[index].css"),
+            entry: "first-chunk",
+          }),
+        ]).process(css, { from: "app.css" });
+
+        assert.strictEqual(result.css, ".a{color:red}");
+        assert.strictEqual(result.chunks.length, 3);
+        // The first chunk is the main output and is not written separately
+        assert.deepStrictEqual(fs.readdirSync(dir).sort(), [
+          "app.2.css",
+          "app.3.css",
+        ]);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    test("should require output for @import entries", () => {
+      assert.throws(
+        () => plugin({ entry: "imports" }),
+        /requires the output option/
+      );
+      assert.throws(() => plugin({ entry: "bundle" }), /unknown entry/);
+    });
+  });
+
+  describe("Stylesheet-level statements", () => {
+    test("should repeat @charset at the start of every chunk", async () => {
+      const css = '@charset "UTF-8"; .a{color:red} .b{color:blue}';
+      const result = await runPlugin(css, { size: 35 });
+
+      assert.strictEqual(result.chunks.length, 2);
+      result.chunks.forEach((chunk) => {
+        assert.ok(chunk.css.startsWith('@charset "UTF-8";'));
+      });
+    });
+
+    test("should hoist @import into the first chunk only", async () => {
+      const css = `
+        @import url("reset.css");
+        .a{color:red}
+        .b{color:blue}
+      `;
+      const result = await runPlugin(css, { size: 40 });
+
+      assert.strictEqual(result.chunks.length, 2);
+      assert.ok(
+        result.chunks[0].css.trim().startsWith('@import url("reset.css");')
+      );
+      assert.ok(!result.chunks[1].css.includes("@import"));
+    });
+
+    test("should repeat @namespace in the chunks that use it", async () => {
+      const css = `
+        @namespace url(http://www.w3.org/1999/xhtml);
+        @namespace svg url(http://www.w3.org/2000/svg);
+        a{color:red}
+        svg|a{color:blue}
+      `;
+      const result = await runPlugin(css, { size: 110 });
+
+      assert.strictEqual(result.chunks.length, 2);
+      assert.ok(result.chunks[0].css.includes("@namespace url("));
+      assert.ok(!result.chunks[0].css.includes("@namespace svg"));
+      assert.ok(result.chunks[1].css.includes("@namespace url("));
+      assert.ok(result.chunks[1].css.includes("@namespace svg"));
+      assert.ok(
+        result.chunks[1].css.indexOf("@namespace") <
+          result.chunks[1].css.indexOf("svg|a")
+      );
+    });
+
+    test("should count repeated statements toward the size budget", async () => {
+      const css = '@charset "UTF-8"; .a{color:red} .b{color:blue}';
+      // Room for both rules, but not once @charset is repeated
+      const result = await runPlugin(css, { size: 28 });
+
+      assert.strictEqual(result.chunks.length, 2);
+    });
+
+    test("should warn about and drop misplaced statements", async () => {
+      const css = `
+        .a{color:red}
+        @import url("late.css");
+        @namespace svg url(http://www.w3.org/2000/svg);
+        @charset "UTF-8";
+        .b{color:blue}
+      `;
+      const result = await runPlugin(css, { size: 15 });
+
+      assert.strictEqual(result.warnings.length, 3);
+      assert.ok(result.warnings[0].text.includes("@import must precede"));
+      assert.ok(result.warnings[1].text.includes("@namespace must precede"));
+      assert.ok(result.warnings[2].text.includes("@charset must be the first"));
+
+      const allCSS = result.chunks.map((c) => c.css).join("");
+      assert.ok(!allCSS.includes("@import"));
+      assert.ok(!allCSS.includes("@namespace"));
+      assert.ok(!allCSS.includes("@charset"));
+    });
+
+    test("should keep a chunk for imports when nothing else is left", async () => {
+      const result = await runPlugin('@import url("a.css");', { size: 100 });
+
+      assert.strictEqual(result.chunks.length, 1);
+      assert.strictEqual(result.chunks[0].css, '@import url("a.css");');
+    });
+  });
+
+  describe("Comment directives", () => {
+    test("should start a new chunk at a break directive", async () => {
+      const css = `
+        .a{color:red}
+        /* split-chunks: break */
+        .b{color:blue}
+        .c{color:green}
+      `;
+      const result = await runPlugin(css, { size: 10000 });
+
+      assert.strictEqual(result.chunks.length, 2);
+      assert.ok(result.chunks[0].css.includes(".a"));
+      assert.ok(result.chunks[1].css.includes(".b"));
+      assert.ok(result.chunks[1].css.includes(".c"));
+    });
+
+    test("should honor break directives inside @media shells", async () => {
+      const css = `
+        @media screen {
+          .a{color:red}
+          /* split-chunks: break */
+          .b{color:blue}
+        }
+      `;
+      const result = await runPlugin(css, { size: 10000 });
+
+      assert.strictEqual(result.chunks.length, 2);
+      result.chunks.forEach((chunk) => {
+        assert.ok(chunk.css.includes("@media screen"));
+      });
+      assert.ok(result.chunks[0].css.includes(".a"));
+      assert.ok(result.chunks[1].css.includes(".b"));
+    });
+
+    test("should keep nodes between keep-start and keep-end together", async () => {
+      const css = `
+        .a{color:red}
+        /* split-chunks: keep-start */
+        .b{color:blue}
+        .c{color:green}
+        /* split-chunks: keep-end */
+        .d{color:pink}
+      `;
+      const result = await runPlugin(css, { size: 30 });
+
+      const keptChunk = result.chunks.find((chunk) => chunk.css.includes(".b"));
+      assert.ok(keptChunk.css.includes(".c"));
+      assert.ok(!keptChunk.css.includes(".a"));
+      assert.ok(result.warnings.length === 0);
+    });
+
+    test("should keep blocks together inside @media shells", async () => {
+      const css = `
+        @media screen {
+          .a{color:red}
+          /* split-chunks: keep-start */
+          .b{color:blue}
+          .c{color:green}
+          /* split-chunks: keep-end */
+        }
+      `;
+      const result = await runPlugin(css, { size: 60 });
+
+      assert.strictEqual(result.chunks.length, 2);
+      assert.ok(result.chunks[1].css.includes("@media screen"));
+      assert.ok(result.chunks[1].css.includes(".b"));
+      assert.ok(result.chunks[1].css.includes(".c"));
+    });
+
+    test("should strip directive comments from the output", async () => {
+      const css = `
+        /* regular comment */
+        .a{color:red}
+        /* split-chunks: break */
+        @media screen {
+          /* split-chunks: keep-start */
+          .b{color:blue}
+          /* split-chunks: keep-end */
+        }
+      `;
+      const result = await runPlugin(css, { size: 10000 });
+
+      const allCSS = result.chunks.map((c) => c.css).join("");
+      assert.ok(!allCSS.includes("split-chunks"));
+      assert.ok(allCSS.includes("regular comment"));
+    });
+
+    test("should warn about unbalanced keep directives", async () => {
+      const css = `
+        /* split-chunks: keep-end */
+        .a{color:red}
+        /* split-chunks: keep-start */
+        .b{color:blue}
+      `;
+      const result = await runPlugin(css, { size: 10000 });
+
+      assert.strictEqual(result.warnings.length, 2);
+      assert.ok(
+        result.warnings[0].text.includes("without a matching keep-start")
+      );
+      assert.ok(
+        result.warnings[1].text.includes("without a matching keep-end")
+      );
+      assert.strictEqual(result.chunks.length, 1);
+    });
+  });
+
+  describe("Atomic option", () => {
+    test("should keep vendor-prefixed and newer atomic @-rules intact", async () => {
+      const css = `
+        @-webkit-keyframes spin {
+          from { transform: rotate(0deg); }
+          to { transform: rotate(360deg); }
+        }
+        @property --angle {
+          syntax: "<angle>";
+          inherits: false;
+          initial-value: 0deg;
+        }
+        @font-palette-values --brand {
+          font-family: Bixa;
+          override-colors: 0 red, 1 blue;
+        }
+      `;
+      const result = await runPlugin(css, { size: 1 });
+
+      assert.strictEqual(result.chunks.length, 3);
+      assert.ok(result.chunks[0].css.includes("from {"));
+      assert.ok(result.chunks[0].css.includes("to {"));
+      assert.ok(result.chunks[1].css.includes("initial-value: 0deg"));
+      assert.ok(result.chunks[2].css.includes("override-colors"));
+    });
+
+    test("should accept @-rule names and regular expressions", async () => {
+      const css = `
+        @media print {
+          .a{color:red}
+          .b{color:blue}
+        }
+        @supports (display: grid) {
+          .c{display:grid}
+          .d{display:flex}
+        }
+      `;
+      const split = await runPlugin(css, { size: 1 });
+      assert.strictEqual(split.chunks.length, 4);
+
+      const kept = await runPlugin(css, { size: 1, atomic: ["media", /^sup/] });
+      assert.strictEqual(kept.chunks.length, 2);
+    });
+
+    test("should accept a predicate for @-rule subtrees", async () => {
+      const css = `
+        @media print {
+          .a{color:red}
+          .b{color:blue}
+        }
+        @media screen {
+          .c{color:green}
+          .d{color:pink}
+        }
+      `;
+      const result = await runPlugin(css, {
+        size: 1,
+        atomic: (node) => node.type === "atrule" && node.params === "print",
+      });
+
+      assert.strictEqual(result.chunks.length, 3);
+      assert.ok(result.chunks[0].css.includes(".a"));
+      assert.ok(result.chunks[0].css.includes(".b"));
+    });
+
+    test("should reject invalid atomic entries", () => {
+      assert.throws(() => plugin({ atomic: [42] }), /atomic entries/);
+    });
+  });
+
+  describe("Oversize strategies", () => {
+    const big = ".big { color: red; margin: 0; padding: 0; border: 0; }";
+
+    test("should throw with oversize 'error'", async () => {
+      await assert.rejects(
+        runPlugin(`.a{color:red} ${big}`, { size: 30, oversize: "error" }),
+        (error) =>
+          error.name === "CssSyntaxError" &&
+          error.message.includes("exceeding the 30 byte limit")
+      );
+    });
+
+    test("should put oversized rules in their own chunk with oversize 'isolate'", async () => {
+      const css = `.a{color:red} ${big} .b{color:blue}`;
+      const result = await runPlugin(css, { size: 30, oversize: "isolate" });
+
+      assert.strictEqual(result.chunks.length, 3);
+      assert.ok(result.chunks[1].css.trim().startsWith(".big"));
+      assert.ok(!result.chunks[1].css.includes(".a{"));
+      assert.ok(!result.chunks[1].css.includes(".b{"));
+      assert.strictEqual(result.warnings.length, 0);
+    });
+
+    test("should split oversized selector lists with oversize 'split'", async () => {
+      const css = ".a, .b, .c, .d, .e, .f { color: red; }";
+      const result = await runPlugin(css, { size: 30, oversize: "split" });
+
+      assert.ok(result.chunks.length > 1);
+      assert.strictEqual(result.warnings.length, 0);
+
+      const root = postcss.parse(result.chunks.map((c) => c.css).join("\n"));
+      const selectors = [];
+      root.walkRules((rule) => {
+        assert.strictEqual(rule.toString().includes("color: red"), true);
+        selectors.push(...rule.selectors);
+      });
+      assert.deepStrictEqual(selectors, [".a", ".b", ".c", ".d", ".e", ".f"]);
+    });
+
+    test("should split oversized declaration blocks with oversize 'split'", async () => {
+      const result = await runPlugin(big, { size: 30, oversize: "split" });
+
+      assert.ok(result.chunks.length > 1);
+      assert.strictEqual(result.warnings.length, 0);
+
+      const root = postcss.parse(result.chunks.map((c) => c.css).join("\n"));
+      const props = [];
+      root.walkRules((rule) => {
+        assert.strictEqual(rule.selector, ".big");
+        rule.walkDecls((decl) => props.push(decl.prop));
+      });
+      assert.deepStrictEqual(props, ["color", "margin", "padding", "border"]);
+    });
+
+    test("should split selector lists above maxSelectors", async () => {
+      const css = ".a, .b, .c, .d, .e { color: red; }";
+      const result = await runPlugin(css, {
+        size: 10000,
+        maxSelectors: 2,
+        oversize: "split",
+      });
+
+      assert.strictEqual(result.chunks.length, 3);
+      result.chunks.forEach((chunk) => {
+        assert.ok(countSelectors(chunk.css) <= 2);
+      });
+    });
+
+    test("should keep @media shells around split pieces", async () => {
+      const css = `@media print { ${big} }`;
+      const result = await runPlugin(css, { size: 50, oversize: "split" });
+
+      assert.ok(result.chunks.length > 1);
+      result.chunks.forEach((chunk) => {
+        assert.ok(chunk.css.includes("@media print"));
+        assert.ok(chunk.css.includes(".big"));
+      });
+    });
+
+    test("should not split atomic rules", async () => {
+      const result = await runPlugin(big, {
+        size: 30,
+        oversize: "split",
+        atomic: (node) => node.type === "rule",
+      });
+
+      assert.strictEqual(result.chunks.length, 1);
+      assert.ok(result.warnings[0].text.includes("cannot be split"));
+    });
+
+    test("should not warn about oversized @-rules that are split", async () => {
+      const css = "@media screen { .a{color:red} .b{color:blue} }";
+      const result = await runPlugin(css, { size: 40 });
+
+      assert.ok(result.chunks.length > 1);
+      result.chunks.forEach((chunk) => {
+        assert.ok(Buffer.byteLength(chunk.css) <= 40);
+      });
+      assert.strictEqual(result.warnings.length, 0);
+    });
+
+    test("should warn when a unit exceeds the limit with its @-rule shells", async () => {
+      const css = "@media print { .aaaaaaaa { color: red; background: blue } }";
+      const result = await runPlugin(css, { size: 50 });
+
+      assert.strictEqual(result.chunks.length, 1);
+      assert.ok(Buffer.byteLength(result.chunks[0].css) > 50);
+      assert.strictEqual(result.warnings.length, 1);
+      assert.match(
+        result.warnings[0].text,
+        /with its enclosing @-rules, exceeding the 50 byte limit/
+      );
+
+      // "@media screen { .a{color:red} }" is 31 bytes
+      const tight = await runPlugin("@media screen { .a{color:red} }", {
+        size: 30,
+      });
+      assert.strictEqual(tight.warnings.length, 1);
+    });
+  });
+
+  describe("Strict size verification", () => {
+    const css = Array.from(
+      { length: 20 },
+      (_, i) => `.rule-${i} {\n  color: red;\n  margin: ${i}px;\n}`
+    ).join("\n\n");
+
+    test("should keep every emitted chunk within the size limit", async () => {
+      const loose = await runPlugin(css, { size: 120 });
+      assert.ok(
+        loose.chunks.some((chunk) => Buffer.byteLength(chunk.css) > 120),
+        "the estimate alone should overshoot for this input"
+      );
+
+      const result = await runPlugin(css, { size: 120, strict: true });
+      result.chunks.forEach((chunk) => {
+        assert.ok(Buffer.byteLength(chunk.css) <= 120);
+      });
+      assert.strictEqual(result.warnings.length, 0);
+
+      const rules = [];
+      result.chunks.forEach((chunk) => {
+        postcss.parse(chunk.css).walkRules((rule) => rules.push(rule.selector));
+      });
+      assert.deepStrictEqual(
+        rules,
+        Array.from({ length: 20 }, (_, i) => `.rule-${i}`)
+      );
+    });
+
+    test("should count the inline source map annotation", async () => {
+      const result = await postcss([
+        plugin({ size: 3000, strict: true }),
+      ]).process(css, { from: "styles.css", map: { inline: true } });
+
+      assert.ok(result.chunks.length > 1);
+      result.chunks.forEach((chunk) => {
+        assert.ok(chunk.css.includes("sourceMappingURL=data:"));
+        assert.ok(Buffer.byteLength(chunk.css) <= 3000);
+      });
+      assert.strictEqual(result.warnings().length, 0);
+    });
+
+    test("should report chunks that cannot be made to fit", async () => {
+      const result = await postcss([
+        plugin({ size: 300, strict: true }),
+      ]).process(css, { from: "styles.css", map: { inline: true } });
+
+      assert.ok(result.warnings().length > 0);
+      assert.ok(
+        result.warnings()[0].text.includes("cannot be moved to another chunk")
+      );
+    });
+  });
+
+  describe("Chunking strategy", () => {
+    const rules = (count) =>
+      Array.from(
+        { length: count },
+        (_, i) => `.r${String(i).padStart(2, "0")}{color:red}`
+      ).join("\n");
+    const sizes = (result) =>
+      result.chunks.map((chunk) => Buffer.byteLength(chunk.css));
+    const selectors = (result) => {
+      const found = [];
+      result.chunks.forEach((chunk) => {
+        postcss.parse(chunk.css).walkRules((rule) => found.push(rule.selector));
+      });
+      return found;
+    };
+
+    test("should spread content evenly with strategy 'balanced'", async () => {
+      const css = rules(21);
+      const greedy = await runPlugin(css, { size: 200 });
+      const balanced = await runPlugin(css, {
+        size: 200,
+        strategy: "balanced",
+      });
+
+      assert.strictEqual(balanced.chunks.length, greedy.chunks.length);
+      const spread = (result) =>
+        Math.max(...sizes(result)) - Math.min(...sizes(result));
+      assert.ok(spread(balanced) < spread(greedy));
+      assert.ok(Math.max(...sizes(balanced)) <= 200);
+      assert.deepStrictEqual(selectors(balanced), selectors(greedy));
+    });
+
+    test("should balance the parts of a split @-rule", async () => {
+      const css = `@media print { ${Array.from(
+        { length: 9 },
+        (_, i) => `.p${i}{color:red}`
+      ).join(" ")} } .z{color:blue}`;
+      const result = await runPlugin(css, { size: 100, strategy: "balanced" });
+
+      assert.strictEqual(result.chunks.length, 2);
+      const [first, second] = sizes(result);
+      assert.ok(Math.abs(first - second) < 20);
+      result.chunks.forEach((chunk) => {
+        assert.ok(chunk.css.includes("@media print"));
+      });
+    });
+
+    test("should not leave a last chunk below minSize", async () => {
+      const css = rules(14);
+      const greedy = await runPlugin(css, { size: 200 });
+      assert.ok(sizes(greedy)[1] < 60);
+
+      const result = await runPlugin(css, { size: 200, minSize: 60 });
+      assert.strictEqual(result.chunks.length, 2);
+      assert.ok(sizes(result)[1] >= 60);
+      assert.deepStrictEqual(selectors(result), selectors(greedy));
+    });
+
+    test("should keep a last chunk started by a break directive", async () => {
+      const css = `${rules(5)}\n/* split-chunks: break */\n.last{color:red}`;
+      const result = await runPlugin(css, { size: 200, minSize: 60 });
+
+      assert.strictEqual(result.chunks.length, 2);
+      assert.strictEqual(result.chunks[1].css.trim(), ".last{color:red}");
+    });
+
+    test("should reject a minSize above size", () => {
+      assert.throws(
+        () => plugin({ size: 100, minSize: 200 }),
+        /minSize must not exceed size, got minSize 200 and size 100/
+      );
+      assert.throws(
+        () => plugin({ size: "1kb", minSize: "2kb", strategy: "content" }),
+        /minSize must not exceed size/
+      );
+      assert.doesNotThrow(() => plugin({ size: 100, minSize: 100 }));
+    });
+
+    test("should reject unknown strategies", () => {
+      assert.throws(
+        () => plugin({ strategy: "optimal" }),
+        /unknown strategy 'optimal'/
+      );
+    });
+  });
+
+  describe("Fixed chunk count", () => {
+    const css = Array.from(
+      { length: 21 },
+      (_, i) => `.r${String(i).padStart(2, "0")}{color:red}`
+    ).join("\n");
+    const ruleCounts = (result) =>
+      result.chunks.map((chunk) => postcss.parse(chunk.css).nodes.length);
+
+    test("should produce exactly the requested number of chunks", async () => {
+      for (const count of [1, 2, 3, 5, 21]) {
+        const result = await runPlugin(css, { chunks: count });
+        assert.strictEqual(result.chunks.length, count);
+        assert.strictEqual(result.warnings.length, 0);
+        assert.strictEqual(
+          result.chunks
+            .map((chunk) => chunk.css)
+            .join("")
+            .replace(/\s+/g, ""),
+          css.replace(/\s+/g, "")
+        );
+      }
+    });
+
+    test("should make the chunks roughly equal", async () => {
+      const result = await runPlugin(css, { chunks: 5 });
+      const counts = ruleCounts(result);
+
+      assert.ok(Math.max(...counts) - Math.min(...counts) <= 2);
+      assert.deepStrictEqual(
+        ruleCounts(await runPlugin(css, { chunks: 3 })),
+        [7, 7, 7]
+      );
+    });
+
+    test("should ignore the size option", async () => {
+      const result = await runPlugin(css, { chunks: 2, size: 20 });
+
+      assert.strictEqual(result.chunks.length, 2);
+      assert.strictEqual(result.warnings.length, 0);
+    });
+
+    test("should split inside @media shells", async () => {
+      const media = `@media print { ${Array.from(
+        { length: 9 },
+        (_, i) => `.p${i}{color:red}`
+      ).join(" ")} }`;
+      const result = await runPlugin(media, { chunks: 3 });
+
+      assert.strictEqual(result.chunks.length, 3);
+      result.chunks.forEach((chunk) => {
+        assert.ok(chunk.css.includes("@media print"));
+        assert.strictEqual(chunk.css.match(/\.p\d/g).length, 3);
+      });
+    });
+
+    test("should report when non-splittable units make the count impossible", async () => {
+      const input =
+        ".a{color:red} @keyframes spin { from { top: 0 } to { top: 1px } }";
+      const result = await runPlugin(input, { chunks: 3 });
+
+      assert.strictEqual(result.chunks.length, 2);
+      assert.strictEqual(result.warnings.length, 1);
+      assert.ok(
+        result.warnings[0].text.includes(
+          "Cannot split the stylesheet into 3 chunks"
+        )
+      );
+    });
+
+    test("should report when the limits require more chunks", async () => {
+      const result = await runPlugin(css, { chunks: 2, maxRules: 5 });
+
+      assert.strictEqual(result.chunks.length, 5);
+      assert.ok(result.warnings[0].text.includes("require at least 5"));
+    });
+
+    test("should reject invalid counts", () => {
+      assert.throws(
+        () => plugin({ chunks: 2.5 }),
+        /chunks must be a positive integer/
+      );
+    });
+  });
+
+  describe("Content-defined chunking", () => {
+    const rule = (i) =>
+      `.item-${i} { color: #${((i * 2654435761) % 0xffffff)
+        .toString(16)
+        .padStart(6, "0")}; margin: ${i % 17}px; }`;
+    const rules = Array.from({ length: 400 }, (_, i) => rule(i));
+    const edited = [rules[0], ".inserted { color: red; }", ...rules.slice(1)];
+    const chunkCss = async (input, opts) =>
+      (await runPlugin(input.join("\n"), opts)).chunks.map(
+        (chunk) => chunk.css
+      );
+
+    test("should only change the chunks around a local edit", async () => {
+      const opts = { size: 2000, minSize: 200, strategy: "content" };
+      const before = await chunkCss(rules, opts);
+      const after = await chunkCss(edited, opts);
+
+      assert.ok(before.length > 5);
+      const changed = after.filter((css) => !before.includes(css));
+      assert.ok(changed.length <= 2, `${changed.length} chunks changed`);
+
+      // Size-based boundaries all shift with the same edit
+      const greedyBefore = await chunkCss(rules, { size: 2000 });
+      const greedyAfter = await chunkCss(edited, { size: 2000 });
+      assert.ok(
+        greedyAfter.filter((css) => !greedyBefore.includes(css)).length >
+          greedyAfter.length / 2
+      );
+    });
+
+    test("should respect the minimum and maximum chunk size", async () => {
+      const result = await runPlugin(rules.join("\n"), {
+        size: 1000,
+        minSize: 400,
+        strategy: "content",
+        strict: true,
+      });
+
+      result.chunks.forEach((chunk, index) => {
+        const bytes = Buffer.byteLength(chunk.css);
+        assert.ok(bytes <= 1000);
+        if (index < result.chunks.length - 1) assert.ok(bytes >= 400);
+      });
+    });
+
+    test("should require a size limit", () => {
+      assert.throws(
+        () => plugin({ size: 0, strategy: "content" }),
+        /strategy 'content' requires a size limit/
+      );
+    });
+  });
+
+  describe("Previous manifest", () => {
+    const fs = require("fs");
+    const os = require("os");
+    const path = require("path");
+
+    const rule = (i) => `.item-${i} { color: red; margin: ${i}px; }`;
+    const rules = Array.from({ length: 100 }, (_, i) => rule(i));
+    rules.splice(
+      50,
+      0,
+      `@media print { ${Array.from({ length: 30 }, (_, i) =>
+        rule(100 + i)
+      ).join(" ")} }`
+    );
+    const run = (list, opts) =>
+      postcss([plugin(Object.assign({ size: 1500 }, opts))]).process(
+        list.join("\n"),
+        { from: undefined }
+      );
+    const changedChunks = (before, after) =>
+      after.chunks.filter(
+        (chunk) => !before.chunks.some((old) => old.css === chunk.css)
+      ).length;
+
+    test("should list the units of every chunk in the manifest", async () => {
+      const result = await run(rules);
+
+      result.manifest.chunks.forEach((entry) => {
+        assert.ok(entry.units.length > 0);
+        entry.units.forEach((key) => assert.match(key, /^[0-9a-f]{12}$/));
+      });
+      const total = result.manifest.chunks.reduce(
+        (sum, entry) => sum + entry.units.length,
+        0
+      );
+      assert.strictEqual(total, 130);
+    });
+
+    test("should keep unchanged chunks when a rule is inserted", async () => {
+      const before = await run(rules);
+      const edited = [
+        rules[0],
+        ".inserted { color: blue; }",
+        ...rules.slice(1),
+      ];
+
+      const repacked = await run(edited);
+      assert.strictEqual(changedChunks(before, repacked), before.chunks.length);
+
+      const stable = await run(edited, { previousManifest: before.manifest });
+      assert.ok(before.chunks.length > 3);
+      // Only the chunk that received the rule is re-packed
+      assert.strictEqual(
+        changedChunks(before, stable),
+        stable.chunks.length - before.chunks.length + 1
+      );
+    });
+
+    test("should keep boundaries inside split @-rules", async () => {
+      const before = await run(rules);
+      const edited = rules.map((css, index) =>
+        index === 50
+          ? css.replace(
+              "@media print { ",
+              "@media print { .new { color: blue } "
+            )
+          : css
+      );
+
+      const stable = await run(edited, { previousManifest: before.manifest });
+      assert.strictEqual(stable.chunks.length, before.chunks.length);
+      assert.strictEqual(changedChunks(before, stable), 1);
+    });
+
+    test("should read the manifest from a file", async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "split-chunks-"));
+      try {
+        const before = await run(rules);
+        const file = path.join(dir, "manifest.json");
+        fs.writeFileSync(file, JSON.stringify(before.manifest));
+        const edited = [
+          rules[0],
+          ".inserted { color: blue; }",
+          ...rules.slice(1),
+        ];
+
+        const fromFile = await run(edited, { previousManifest: file });
+        const fromObject = await run(edited, {
+          previousManifest: before.manifest,
+        });
+        assert.deepStrictEqual(
+          fromFile.chunks.map((chunk) => chunk.css),
+          fromObject.chunks.map((chunk) => chunk.css)
+        );
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    test("should reject other strategies", () => {
+      assert.throws(
+        () =>
+          plugin({ previousManifest: { chunks: [] }, strategy: "balanced" }),
+        /previousManifest only works with the greedy strategy/
+      );
+    });
+  });
+
+  describe("Chunk metadata", () => {
+    const zlib = require("zlib");
+
+    test("should describe every chunk", async () => {
+      const css = [
+        ".a, .b { color: red; }",
+        "@media print { .c { color: blue; } .d { color: green; } }",
+        "@supports (display: grid) { @media   (min-width: 1px) { .e { display: grid; } } }",
+        "@font-face { font-family: x; }",
+      ].join("\n");
+      const result = await postcss([plugin({ size: 100 })]).process(css, {
+        from: "src/app.css",
+      });
+
+      assert.ok(result.chunks.length > 1);
+      result.chunks.forEach((chunk, index) => {
+        assert.strictEqual(chunk.meta.index, index);
+        assert.strictEqual(
+          chunk.meta.bytes,
+          Buffer.byteLength(chunk.css, "utf8")
+        );
+        assert.strictEqual(
+          chunk.meta.gzipBytes,
+          zlib.gzipSync(chunk.css).length
+        );
+        assert.strictEqual(chunk.meta.oversized, false);
+      });
+
+      const metas = result.chunks.map((chunk) => chunk.meta);
+      const total = (key) => metas.reduce((sum, meta) => sum + meta[key], 0);
+      assert.strictEqual(total("selectorCount"), 5);
+      assert.strictEqual(total("ruleCount"), 4);
+      assert.deepStrictEqual([].concat(...metas.map((meta) => meta.shells)), [
+        "@media print",
+        "@supports (display: grid)",
+        "@media (min-width: 1px)",
+      ]);
+      assert.strictEqual(metas[0].sources[0].file, "src/app.css");
+      assert.strictEqual(metas[0].sources[0].startLine, 1);
+      assert.strictEqual(metas[metas.length - 1].sources[0].endLine, 4);
+    });
+
+    test("should flag chunks with oversized units", async () => {
+      const css = `.small { color: red; }\n.big { ${"color: red; ".repeat(
+        50
+      )} }\n.wide, .x, .y { color: blue; }`;
+      const result = await postcss([
+        plugin({ size: 200, maxSelectors: 2 }),
+      ]).process(css, { from: undefined });
+
+      assert.deepStrictEqual(
+        result.chunks.map((chunk) => chunk.meta.oversized),
+        [false, true, true]
+      );
+      // The manifest reuses the metadata
+      assert.deepStrictEqual(
+        result.manifest.chunks.map((chunk) => chunk.bytes),
+        result.chunks.map((chunk) => chunk.meta.bytes)
+      );
+    });
+  });
+
+  describe("Decision report", () => {
+    const fs = require("fs");
+    const os = require("os");
+    const path = require("path");
+
+    const css = [
+      ".a { color: red; }",
+      "@media print { .b { color: blue; } .c { color: green; } .d { color: pink; } .f { color: gray; } }",
+      "@keyframes spin { from { transform: rotate(0); } to { transform: rotate(1turn); } }",
+      "/* split-chunks: break */",
+      `.big { ${"color: red; ".repeat(20)} }`,
+      ".e { color: red; }",
+    ].join("\n");
+
+    test("should write the decisions as JSON and HTML", async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "split-chunks-"));
+      try {
+        const result = await postcss([
+          plugin({
+            size: 100,
+            output: path.join(dir, "[name].[index].css"),
+            report: true,
+          }),
+        ]).process(css, { from: "app.css" });
+
+        const written = JSON.parse(
+          fs.readFileSync(path.join(dir, "report.json"), "utf8")
+        );
+        assert.deepStrictEqual(written, result.report);
+        assert.strictEqual(result.report.options.size, 100);
+        assert.deepStrictEqual(
+          result.report.chunks,
+          result.chunks.map((chunk) => chunk.meta)
+        );
+
+        const decisions = result.report.decisions;
+        const reasons = decisions
+          .filter((decision) => decision.type === "new-chunk")
+          .map((decision) => decision.reason);
+        assert.ok(reasons.includes("overflow"));
+        assert.ok(reasons.includes("break"));
+        assert.strictEqual(reasons[reasons.length - 1], "end");
+        assert.strictEqual(reasons.length, result.chunks.length);
+
+        const shell = decisions.find((decision) => decision.type === "shell");
+        assert.strictEqual(shell.node, "@media print");
+        assert.strictEqual(shell.line, 2);
+        const atomic = decisions.find((decision) => decision.type === "atomic");
+        assert.strictEqual(atomic.node, "@keyframes spin");
+        const oversized = decisions.find(
+          (decision) => decision.type === "oversize"
+        );
+        assert.strictEqual(oversized.node, ".big");
+        assert.strictEqual(oversized.action, "warn");
+
+        const html = fs.readFileSync(path.join(dir, "report.html"), "utf8");
+        assert.ok(html.startsWith("<!DOCTYPE html>"));
+        assert.strictEqual(
+          html.split('<div class="bar"').length - 1,
+          result.chunks.length
+        );
+        assert.ok(/app\.css:1-\d/.test(html));
+        assert.ok(html.includes("at the break directive on line 4"));
+        // Self-contained: no external resources
+        assert.ok(!/<(script|link)\b/.test(html));
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    test("should write the report to a given path", async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "split-chunks-"));
+      try {
+        const file = path.join(dir, "reports", "split.json");
+        await postcss([plugin({ size: 100, report: file })]).process(css, {
+          from: undefined,
+        });
+        assert.ok(fs.existsSync(file));
+        assert.ok(fs.existsSync(path.join(dir, "reports", "split.html")));
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    test("should only keep the decisions of the final distribution", async () => {
+      const result = await postcss([
+        plugin({ chunks: 3, report: path.join(os.tmpdir(), "unused.json") }),
+      ]).process(css, { from: undefined });
+      fs.rmSync(path.join(os.tmpdir(), "unused.json"), { force: true });
+      fs.rmSync(path.join(os.tmpdir(), "unused.html"), { force: true });
+
+      const closed = result.report.decisions.filter(
+        (decision) => decision.type === "new-chunk"
+      );
+      assert.ok(closed.length <= result.chunks.length);
+      result.report.decisions.forEach((decision) =>
+        assert.ok(decision.chunk < result.chunks.length)
+      );
+    });
+
+    test("should not record without the option", async () => {
+      const result = await postcss([plugin({ size: 100 })]).process(css, {
+        from: undefined,
+      });
+      assert.strictEqual(result.report, undefined);
+    });
+  });
+
+  describe("Streaming API", () => {
+    const { splitChunks } = plugin;
+    const css = Array.from(
+      { length: 60 },
+      (_, i) =>
+        `.rule-${i} { color: red; margin: ${i}px; }\n@media print { .print-${i} { display: none; } }`
+    ).join("\n");
+
+    /**
+     * Drain the iterator returned by splitChunks.
+     * @param {AsyncIterator<object>} iterator The chunk iterator.
+     * @returns {Promise<Array<object>>} Every chunk in order.
+     */
+    async function collect(iterator) {
+      const chunks = [];
+      for (let next = await iterator.next(); !next.done; ) {
+        chunks.push(next.value);
+        next = await iterator.next();
+      }
+      return chunks;
+    }
+
+    test("should yield the same chunks as the plugin", async () => {
+      const options = [
+        { size: 1000 },
+        { size: 1000, minSize: 800 },
+        { size: 1000, strategy: "balanced" },
+        { chunks: 3 },
+        { size: 1000, strategy: "content", minSize: 200 },
+      ];
+      for (const opts of options) {
+        const expected = await runPlugin(css, opts);
+        const chunks = await collect(splitChunks(css, opts));
+        assert.deepStrictEqual(
+          chunks.map((chunk) => chunk.css),
+          expected.chunks.map((chunk) => chunk.css),
+          JSON.stringify(opts)
+        );
+      }
+    });
+
+    test("should describe every chunk", async () => {
+      const chunks = await collect(
+        splitChunks(css, { size: 1000, strict: true })
+      );
+      assert.ok(chunks.length > 1);
+      chunks.forEach((chunk, index) => {
+        assert.strictEqual(chunk.index, index);
+        assert.strictEqual(chunk.bytes, Buffer.byteLength(chunk.css, "utf8"));
+        assert.ok(chunk.bytes <= 1000);
+        assert.strictEqual(chunk.map, undefined);
+      });
+    });
+
+    test("should hand out chunks before the stylesheet is split", async () => {
+      const root = postcss.parse(css);
+      const iterator = splitChunks(root, { size: 1000 });
+      const first = await iterator.next();
+      assert.strictEqual(first.value.index, 0);
+      assert.ok(first.value.css.includes(".rule-0"));
+      assert.ok(!first.value.css.includes(".rule-59"));
+      assert.deepStrictEqual(await iterator.return(), {
+        done: true,
+        value: undefined,
+      });
+      assert.strictEqual((await iterator.next()).done, true);
+      // The given root is left unchanged
+      assert.strictEqual(root.toString(), css);
+    });
+
+    test("should produce source maps", async () => {
+      const chunks = await collect(
+        splitChunks(css, {
+          size: 1000,
+          from: "app.css",
+          map: { inline: false },
+        })
+      );
+      chunks.forEach((chunk) => {
+        assert.ok(chunk.map);
+        assert.deepStrictEqual(chunk.map.toJSON().sources, ["app.css"]);
+      });
+    });
+
+    test("should report warnings and errors", async () => {
+      const big = `.big { ${"color: red; ".repeat(
+        50
+      )} }\n.small { color: blue; }`;
+      const iterator = splitChunks(big, { size: 100 });
+      const chunks = await collect(iterator);
+      assert.strictEqual(chunks.length, 2);
+      assert.strictEqual(iterator.warnings().length, 1);
+      assert.strictEqual(
+        iterator.warnings()[0].plugin,
+        "postcss-chunk-by-size"
+      );
+
+      await assert.rejects(
+        collect(splitChunks(big, { size: 100, oversize: "error" })),
+        /exceeding the 100 byte limit/
+      );
+      await assert.rejects(collect(splitChunks(".a {", {})), /Unclosed block/);
+    });
+
+    test("should validate options when called", () => {
+      assert.throws(
+        () => splitChunks(css, { strategy: "unknown" }),
+        /unknown strategy 'unknown'/
+      );
+    });
+
+    test("should be async iterable", () => {
+      const iterator = splitChunks(css);
+      assert.strictEqual(iterator[Symbol.asyncIterator](), iterator);
+    });
+  });
+
+  describe("Size validation", () => {
+    test("should accept sizes with units", async () => {
+      const css = Array.from(
+        { length: 200 },
+        (_, i) => `.rule-${i} { color: red; }`
+      ).join("\n");
+      const withUnit = await runPlugin(css, { size: "1kb" });
+      const inBytes = await runPlugin(css, { size: 1024 });
+      assert.ok(withUnit.chunks.length > 1);
+      assert.deepStrictEqual(
+        withUnit.chunks.map((chunk) => chunk.css),
+        inBytes.chunks.map((chunk) => chunk.css)
+      );
+
+      const mebibyte = await runPlugin(css, {
+        size: "1MiB",
+        minSize: "0.5 KB",
+      });
+      assert.strictEqual(mebibyte.chunks.length, 1);
+    });
+
+    test("should reject invalid sizes", () => {
+      [-1, NaN, Infinity, "ten", "5 parsecs", "-2kb", null, {}].forEach(
+        (size) => {
+          assert.throws(
+            () => plugin({ size }),
+            /size must be a non-negative number of bytes or a size like '50kb'/,
+            String(size)
+          );
+        }
+      );
+      assert.throws(() => plugin({ minSize: -10 }), /minSize must be/);
+    });
+
+    test("should reject invalid selector and rule limits", () => {
+      [-1, 1.5, NaN, Infinity, "abc", "10", null].forEach((value) => {
+        assert.throws(
+          () => plugin({ maxSelectors: value }),
+          /maxSelectors must be a non-negative integer/,
+          String(value)
+        );
+        assert.throws(
+          () => plugin({ maxRules: value }),
+          /maxRules must be a non-negative integer/,
+          String(value)
+        );
+      });
+      assert.throws(
+        () => plugin({ maxRules: NaN }),
+        /postcss-chunk-by-size: maxRules must be a non-negative integer, got 'NaN'/
+      );
+      assert.doesNotThrow(() => plugin({ maxSelectors: 0, maxRules: 100 }));
+    });
+  });
+
+  describe("Command-line interface", () => {
+    const fs = require("fs");
+    const os = require("os");
+    const path = require("path");
+    const { spawnSync } = require("child_process");
+    const { run } = require("./lib/cli");
+
+    const css = [
+      ".a { color: red; }",
+      "@media print { .b { color: blue; } .c { color: green; } }",
+      `.big { ${"color: red; ".repeat(20)} }`,
+      ".d { color: pink; }",
+    ].join("\n");
+
+    /**
+     * Run the CLI in a directory and capture its output.
+     * @param {Array<string>} argv The arguments.
+     * @param {string} cwd The working directory.
+     * @param {AbortSignal} [signal] Ends `--watch`.
+     * @returns {Promise<{ code: number, stdout: string, stderr: string }>}
+     */
+    async function cli(argv, cwd, signal) {
+      const output = { stdout: "", stderr: "" };
+      const stream = (key) => ({
+        write: (text) => {
+          output[key] += text;
+        },
+      });
+      const code = await run(argv, {
+        stdout: stream("stdout"),
+        stderr: stream("stderr"),
+        cwd,
+        signal,
+      });
+      return Object.assign({ code }, output);
+    }
+
+    /**
+     * Run a test in a temporary directory with two stylesheets.
+     * @param {(dir: string) => Promise<void>} callback The test body.
+     */
+    async function inTempDir(callback) {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "split-chunks-"));
+      try {
+        fs.mkdirSync(path.join(dir, "src"));
+        fs.writeFileSync(path.join(dir, "src", "app.css"), css);
+        fs.writeFileSync(path.join(dir, "src", "admin.css"), ".x { top: 0; }");
+        await callback(dir);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    }
+
+    test("should split files matched by a glob", async () => {
+      await inTempDir(async (dir) => {
+        const result = await cli(
+          [
+            "src/*.css",
+            "--size",
+            "0.1kb",
+            "--out-dir",
+            "dist",
+            "--name=[name]-[index].css",
+            "--map",
+            "--manifest",
+          ],
+          dir
+        );
+        assert.strictEqual(result.code, 0);
+        const files = fs.readdirSync(path.join(dir, "dist")).sort();
+        assert.ok(files.includes("admin-1.css"));
+        assert.ok(files.includes("app-1.css"));
+        assert.ok(files.includes("app-2.css.map"));
+        assert.ok(files.includes("app.manifest.json"));
+        assert.ok(files.includes("admin.manifest.json"));
+        assert.ok(result.stdout.includes(path.join("dist", "app-1.css")));
+        assert.ok(result.stderr.includes("exceeding the 102 byte limit"));
+      });
+    });
+
+    test("should write chunks next to the input by default", async () => {
+      await inTempDir(async (dir) => {
+        const result = await cli(["src/admin.css"], dir);
+        assert.strictEqual(result.code, 0);
+        assert.strictEqual(
+          fs.readFileSync(path.join(dir, "src", "admin.1.css"), "utf8"),
+          ".x { top: 0; }"
+        );
+      });
+    });
+
+    test("should not split the chunks of a previous run again", async () => {
+      await inTempDir(async (dir) => {
+        const argv = ["src/*.css", "--size", "100"];
+        const first = await cli(argv, dir);
+        assert.strictEqual(first.code, 0);
+        const written = fs.readdirSync(path.join(dir, "src")).sort();
+        assert.ok(written.includes("app.2.css"));
+
+        // A chunk name of another template is still an input
+        fs.writeFileSync(path.join(dir, "src", "admin-1.css"), ".y{top:0}");
+        const second = await cli(argv, dir);
+        assert.strictEqual(second.code, 0);
+        assert.deepStrictEqual(
+          fs.readdirSync(path.join(dir, "src")).sort(),
+          written.concat("admin-1.1.css", "admin-1.css").sort()
+        );
+      });
+    });
+
+    test("should exit with 3 for oversized chunks with --strict", async () => {
+      await inTempDir(async (dir) => {
+        const strict = await cli(
+          ["src/app.css", "-s", "100", "-o", "dist", "--strict"],
+          dir
+        );
+        assert.strictEqual(strict.code, 3);
+        const lenient = await cli(
+          ["src/app.css", "-s", "100", "-o", "dist"],
+          dir
+        );
+        assert.strictEqual(lenient.code, 0);
+        const fits = await cli(["src/app.css", "-s", "1kb", "--strict"], dir);
+        assert.strictEqual(fits.code, 0);
+      });
+    });
+
+    test("should report usage and input errors", async () => {
+      await inTempDir(async (dir) => {
+        const badSize = await cli(["src/app.css", "--size", "-5kb"], dir);
+        assert.strictEqual(badSize.code, 2);
+        assert.ok(badSize.stderr.includes("invalid --size '-5kb'"));
+
+        assert.strictEqual((await cli(["--size"], dir)).code, 2);
+        assert.strictEqual((await cli(["--nope", "a.css"], dir)).code, 2);
+        assert.strictEqual((await cli(["src/*.scss"], dir)).code, 2);
+
+        const missing = await cli(["missing.css"], dir);
+        assert.strictEqual(missing.code, 1);
+        assert.ok(missing.stderr.includes("missing.css"));
+
+        fs.writeFileSync(path.join(dir, "broken.css"), ".a {");
+        const broken = await cli(["broken.css"], dir);
+        assert.strictEqual(broken.code, 1);
+        assert.ok(broken.stderr.includes("Unclosed block"));
+
+        const help = await cli(["--help"], dir);
+        assert.strictEqual(help.code, 0);
+        assert.ok(help.stdout.startsWith("Usage: postcss-split-chunks"));
+      });
+    });
+
+    test("should split again on changes with --watch", async () => {
+      await inTempDir(async (dir) => {
+        const controller = new AbortController();
+        const watching = cli(["src/admin.css", "-o", "dist"], dir).then(() =>
+          cli(
+            ["src/admin.css", "-o", "dist", "--watch"],
+            dir,
+            controller.signal
+          )
+        );
+        const output = path.join(dir, "dist", "admin.1.css");
+        const waitFor = async (expected) => {
+          for (let i = 0; i < 100; i++) {
+            if (
+              fs.existsSync(output) &&
+              fs.readFileSync(output, "utf8") === expected
+            ) {
+              return;
+            }
+            await new Promise((resolve) => setTimeout(resolve, 20));
+          }
+          assert.fail(`${output} never became '${expected}'`);
+        };
+
+        await waitFor(".x { top: 0; }");
+        // Give the watcher time to start
+        await new Promise((resolve) => setTimeout(resolve, 100));
+        fs.writeFileSync(
+          path.join(dir, "src", "admin.css"),
+          ".y { top: 1px; }"
+        );
+        await waitFor(".y { top: 1px; }");
+        controller.abort();
+        assert.strictEqual((await watching).code, 0);
+      });
+    });
+
+    test("should rewrite HTML pages with --html", async () => {
+      await inTempDir(async (dir) => {
+        fs.mkdirSync(path.join(dir, "pages"));
+        const page = '<link rel="stylesheet" href="/src/app.css">';
+        fs.writeFileSync(path.join(dir, "pages", "index.html"), page);
+        fs.writeFileSync(path.join(dir, "pages", "other.html"), "<p></p>");
+
+        const result = await cli(
+          [
+            "src/app.css",
+            "-s",
+            "100",
+            "-o",
+            "dist",
+            "--html",
+            "pages/*.html",
+            "--root",
+            ".",
+            "--preload",
+            "--integrity",
+          ],
+          dir
+        );
+        // other.html links no split stylesheet, so its chunks would be missing
+        assert.strictEqual(result.code, 1);
+        assert.ok(result.stdout.includes("pages/index.html rewritten"));
+        assert.ok(result.stderr.includes("pages/other.html: no links"));
+
+        const html = fs.readFileSync(
+          path.join(dir, "pages", "index.html"),
+          "utf8"
+        );
+        const links = html.split("\n");
+        const chunks = fs
+          .readdirSync(path.join(dir, "dist"))
+          .filter((file) => file.endsWith(".css"))
+          .sort();
+        assert.strictEqual(links.length, chunks.length * 2);
+        chunks.forEach((chunk, index) => {
+          const css = fs.readFileSync(path.join(dir, "dist", chunk));
+          const sri = `sha384-${require("crypto")
+            .createHash("sha384")
+            .update(css)
+            .digest("base64")}`;
+          assert.strictEqual(
+            links[chunks.length + index],
+            `<link rel="stylesheet" href="/dist/${chunk}" data-split-chunks="/src/app.css" integrity="${sri}">`
+          );
+          assert.strictEqual(
+            links[index],
+            `<link rel="preload" href="/dist/${chunk}" data-split-chunks="/src/app.css" integrity="${sri}" as="style">`
+          );
+        });
+      });
+    });
+
+    test("should rewrite HTML pages again when the chunks change", async () => {
+      await inTempDir(async (dir) => {
+        const rules = (from, to) =>
+          Array.from(
+            { length: to - from },
+            (_, i) => `.rule-${from + i} { color: red; margin: ${i}px; }`
+          ).join("\n");
+        const page = path.join(dir, "index.html");
+        fs.writeFileSync(page, '<link rel="stylesheet" href="app.css">');
+        fs.writeFileSync(path.join(dir, "app.css"), rules(0, 100));
+        const argv = ["app.css", "--size", "1kb", "--html", "index.html"];
+        const hrefs = () =>
+          fs
+            .readFileSync(page, "utf8")
+            .split("\n")
+            .map((link) => /href="([^"]+)"/.exec(link)[1]);
+
+        assert.strictEqual((await cli(argv, dir)).code, 0);
+        const first = hrefs();
+        assert.ok(first.length > 1);
+
+        fs.appendFileSync(path.join(dir, "app.css"), `\n${rules(100, 200)}`);
+        const second = await cli(argv, dir);
+        assert.strictEqual(second.code, 0);
+        assert.ok(second.stdout.includes("index.html rewritten"));
+        const chunks = fs
+          .readdirSync(dir)
+          .filter((file) => /^app\.\d+\.css$/.test(file))
+          .sort((a, b) => a.split(".")[1] - b.split(".")[1]);
+        assert.ok(chunks.length > first.length);
+        assert.deepStrictEqual(hrefs(), chunks);
+
+        const third = await cli(argv, dir);
+        assert.strictEqual(third.code, 0);
+        assert.ok(third.stdout.includes("index.html unchanged"));
+        assert.deepStrictEqual(hrefs(), chunks);
+      });
+    });
+
+    test("should rewrite HTML pages again with --watch", async () => {
+      await inTempDir(async (dir) => {
+        const page = path.join(dir, "index.html");
+        fs.writeFileSync(page, '<link rel="stylesheet" href="src/admin.css">');
+        const controller = new AbortController();
+        const watching = cli(
+          ["src/admin.css", "-s", "20", "--html", "index.html", "--watch"],
+          dir,
+          controller.signal
+        );
+        const waitForLinks = async (count) => {
+          for (let i = 0; i < 100; i++) {
+            const html = fs.readFileSync(page, "utf8");
+            if ((html.match(/data-split-chunks/g) || []).length === count) {
+              return;
+            }
+            await new Promise((resolve) => setTimeout(resolve, 20));
+          }
+          assert.fail(`${page} never linked ${count} chunks`);
+        };
+
+        await waitForLinks(1);
+        // Give the watcher time to start
+        await new Promise((resolve) => setTimeout(resolve, 100));
+        fs.writeFileSync(
+          path.join(dir, "src", "admin.css"),
+          ".x { top: 0; }\n.y { top: 1px; }"
+        );
+        await waitForLinks(2);
+        controller.abort();
+        assert.strictEqual((await watching).code, 0);
+      });
+    });
+
+    test("should run as a bin", () => {
+      const bin = path.join(__dirname, "bin", "postcss-split-chunks.js");
+      const result = spawnSync(process.execPath, [bin, "--size", "NaN"], {
+        encoding: "utf8",
+      });
+      assert.strictEqual(result.status, 2);
+      assert.ok(result.stderr.includes("invalid --size 'NaN'"));
+    });
+  });
+
+  describe("HTML rewriting", () => {
+    const path = require("path");
+    const { rewriteHtml } = require("./lib/html");
+
+    const stylesheets = {
+      "dist/css/app.css": ["dist/css/app.1.css", "dist/css/app.2.css"],
+    };
+
+    test("should link the chunks in order, keeping attributes", () => {
+      const html = `<head>
+    <link media="screen and (min-width: 40em)" rel="stylesheet" href='css/app.css?v=2' integrity="sha384-old" crossorigin>
+    <link rel="stylesheet" href="css/other.css">
+    <link rel="stylesheet" href="https://cdn.example.com/css/app.css">
+  </head>`;
+      assert.strictEqual(
+        rewriteHtml(html, { file: "dist/index.html", stylesheets }),
+        `<head>
+    <link media="screen and (min-width: 40em)" rel="stylesheet" href='css/app.1.css?v=2' crossorigin data-split-chunks="css/app.css?v=2">
+    <link media="screen and (min-width: 40em)" rel="stylesheet" href='css/app.2.css?v=2' crossorigin data-split-chunks="css/app.css?v=2">
+    <link rel="stylesheet" href="css/other.css">
+    <link rel="stylesheet" href="https://cdn.example.com/css/app.css">
+  </head>`
+      );
+    });
+
+    test("should resolve hrefs against the page and the root", () => {
+      const sub = '<link rel="stylesheet" href="../css/app.css">';
+      assert.strictEqual(
+        rewriteHtml(sub, { file: "dist/blog/post.html", stylesheets }),
+        '<link rel="stylesheet" href="../css/app.1.css" data-split-chunks="../css/app.css">\n<link rel="stylesheet" href="../css/app.2.css" data-split-chunks="../css/app.css">'
+      );
+
+      const absolute = "<link rel=stylesheet href=/css/app.css />";
+      assert.strictEqual(
+        rewriteHtml(absolute, {
+          file: "dist/blog/post.html",
+          root: "dist",
+          stylesheets: new Map(Object.entries(stylesheets)),
+        }),
+        '<link rel=stylesheet href="/css/app.1.css" data-split-chunks="/css/app.css" />\n<link rel=stylesheet href="/css/app.2.css" data-split-chunks="/css/app.css" />'
+      );
+    });
+
+    test("should add preload hints and integrity", async () => {
+      const fs = require("fs");
+      const dir = fs.mkdtempSync(path.join(require("os").tmpdir(), "html-"));
+      try {
+        const result = await postcss([
+          plugin({
+            size: 30,
+            output: path.join(dir, "css/[name].[index].css"),
+          }),
+        ]).process(".a { color: red; }\n.b { color: blue; }", {
+          from: path.join(dir, "css/app.css"),
+        });
+        const html = rewriteHtml(
+          '<link rel="stylesheet" href="./css/app.css" media="print">',
+          {
+            file: path.join(dir, "index.html"),
+            stylesheets: { [path.join(dir, "css/app.css")]: result.chunks },
+            preload: true,
+            integrity: true,
+          }
+        );
+        const [first, second] = result.manifest.chunks.map(
+          (chunk) => chunk.integrity
+        );
+        assert.strictEqual(
+          html,
+          [
+            `<link rel="preload" href="./css/app.1.css" media="print" data-split-chunks="./css/app.css" integrity="${first}" as="style">`,
+            `<link rel="preload" href="./css/app.2.css" media="print" data-split-chunks="./css/app.css" integrity="${second}" as="style">`,
+            `<link rel="stylesheet" href="./css/app.1.css" media="print" data-split-chunks="./css/app.css" integrity="${first}">`,
+            `<link rel="stylesheet" href="./css/app.2.css" media="print" data-split-chunks="./css/app.css" integrity="${second}">`,
+          ].join("\n")
+        );
+
+        // Chunks given by path are read to compute their integrity
+        const fromFiles = rewriteHtml(
+          '<link rel="stylesheet" href="css/app.css">',
+          {
+            file: path.join(dir, "index.html"),
+            stylesheets: {
+              [path.join(dir, "css/app.css")]: result.chunks.map(
+                (chunk) => chunk.opts.to
+              ),
+            },
+            integrity: true,
+          }
+        );
+        assert.ok(
+          fromFiles.includes(
+            `href="css/app.2.css" data-split-chunks="css/app.css" integrity="${second}"`
+          )
+        );
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    test("should replace the links of a previous rewrite", () => {
+      const html = `<head>
+    <link rel="stylesheet" href="css/app.css" media="print">
+    <link rel="stylesheet" href="css/other.css">
+  </head>`;
+      const once = rewriteHtml(html, {
+        file: "dist/index.html",
+        stylesheets,
+        preload: true,
+      });
+      const three = {
+        "dist/css/app.css":
+          stylesheets["dist/css/app.css"].concat("dist/css/app.3.css"),
+      };
+      const again = rewriteHtml(once, {
+        file: "dist/index.html",
+        stylesheets: three,
+      });
+      assert.strictEqual(
+        again,
+        rewriteHtml(html, { file: "dist/index.html", stylesheets: three })
+      );
+      assert.strictEqual(again.match(/<link/g).length, 4);
+      assert.ok(!again.includes("preload"));
+
+      // A stylesheet that is no longer split gets its link back
+      assert.strictEqual(
+        rewriteHtml(once, { file: "dist/index.html", stylesheets: {} }),
+        html
+      );
+    });
+
+    test("should keep links with undecodable hrefs", () => {
+      const html = `<link rel="stylesheet" href="/x/100%.css">
+    <link rel="stylesheet" href="css/app.css">`;
+      const output = rewriteHtml(html, {
+        file: "dist/index.html",
+        stylesheets,
+      });
+      assert.ok(
+        output.startsWith('<link rel="stylesheet" href="/x/100%.css">')
+      );
+      assert.ok(output.includes('href="css/app.1.css"'));
+      assert.ok(output.includes('href="css/app.2.css"'));
+      assert.ok(!output.includes('href="css/app.css">'));
+    });
+
+    test("should require the files of the chunks", () => {
+      const html = '<link rel="stylesheet" href="app.css">';
+      assert.throws(
+        () =>
+          rewriteHtml(html, {
+            file: path.resolve("index.html"),
+            stylesheets: { "app.css": [{ css: ".a {}" }] },
+          }),
+        /needs a file/
+      );
+    });
+  });
+
+  describe("Runtime loader", () => {
+    const fs = require("fs");
+    const os = require("os");
+    const path = require("path");
+    const vm = require("vm");
+    const { createLoader } = require("./lib/runtime");
+
+    /**
+     * Build a fake DOM with a `<head>` that records inserted elements.
+     * @returns {object} The fake document.
+     */
+    function createDocument() {
+      const createNode = (tagName) => {
+        const node = {
+          tagName,
+          children: [],
+          parentNode: null,
+          get nextSibling() {
+            const siblings = this.parentNode.children;
+            return siblings[siblings.indexOf(this) + 1] || null;
+          },
+          appendChild(child) {
+            return this.insertBefore(child, null);
+          },
+          insertBefore(child, reference) {
+            const index = reference
+              ? this.children.indexOf(reference)
+              : this.children.length;
+            this.children.splice(index, 0, child);
+            child.parentNode = this;
+            return child;
+          },
+        };
+        return node;
+      };
+      const head = createNode("HEAD");
+      return { head, createElement: (tagName) => createNode(tagName) };
+    }
+
+    // The chunk links of a fake document, as `href media` strings
+    const linksOf = (document) =>
+      document.head.children
+        .filter((node) => node.tagName === "link")
+        .map((link) => `${link.href} ${link.media}`);
+
+    test("should apply chunks in order when they load out of order", async () => {
+      const document = createDocument();
+      const loader = createLoader(document, ["a.css", "b.css", "c.css"]);
+      let done = false;
+      const loading = loader.load().then(() => {
+        done = true;
+      });
+
+      // Every chunk is requested at once, without applying it
+      assert.deepStrictEqual(linksOf(document), [
+        "a.css print",
+        "b.css print",
+        "c.css print",
+      ]);
+      const [a, b, c] = document.head.children;
+      c.onload();
+      b.onload();
+      assert.deepStrictEqual(linksOf(document), [
+        "a.css print",
+        "b.css print",
+        "c.css print",
+      ]);
+      await Promise.resolve();
+      assert.strictEqual(done, false);
+
+      a.onload();
+      assert.deepStrictEqual(linksOf(document), [
+        "a.css all",
+        "b.css all",
+        "c.css all",
+      ]);
+      await loading;
+      assert.strictEqual(done, true);
+    });
+
+    test("should load later chunks lazily in position", async () => {
+      const document = createDocument();
+      const own = document.head.appendChild(document.createElement("style"));
+      const anchor = document.head.insertBefore(
+        document.createElement("meta"),
+        own
+      );
+      const loader = createLoader(document, ["a.css", "b.css", "c.css"], {
+        after: anchor,
+        media: "screen",
+      });
+
+      const first = loader.load(1);
+      assert.deepStrictEqual(linksOf(document), ["a.css print"]);
+      document.head.children[1].onload();
+      await first;
+      assert.deepStrictEqual(linksOf(document), ["a.css screen"]);
+
+      const rest = loader.load();
+      assert.deepStrictEqual(
+        document.head.children.map((node) => node.tagName),
+        ["meta", "link", "link", "link", "style"]
+      );
+      document.head.children[3].onload();
+      document.head.children[2].onload();
+      await rest;
+      assert.deepStrictEqual(linksOf(document), [
+        "a.css screen",
+        "b.css screen",
+        "c.css screen",
+      ]);
+      // Loading again settles at once
+      await loader.load(2);
+      assert.strictEqual(document.head.children.length, 5);
+    });
+
+    test("should reject when a chunk fails to load", async () => {
+      const document = createDocument();
+      const loader = createLoader(document, ["a.css", "b.css", "c.css"]);
+      const first = loader.load(1);
+      const all = loader.load();
+      const [a, b, c] = document.head.children;
+      a.onload();
+      c.onload();
+      b.onerror();
+      await first;
+      await assert.rejects(all, /Failed to load CSS chunk b\.css/);
+      // Chunks after the failed one are not applied
+      assert.deepStrictEqual(linksOf(document), [
+        "a.css all",
+        "b.css print",
+        "c.css print",
+      ]);
+    });
+
+    test("should write a loader next to the chunks", async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "split-runtime-"));
+      try {
+        await postcss([
+          plugin({
+            size: 30,
+            output: path.join(dir, "css/[name].[index].css"),
+            runtime: true,
+          }),
+        ]).process(".a { color: red; }\n.b { color: blue; }", {
+          from: path.join(dir, "src/app.css"),
+        });
+        const code = fs.readFileSync(
+          path.join(dir, "css/app.loader.js"),
+          "utf8"
+        );
+
+        // As a classic script it registers itself on the page
+        const document = createDocument();
+        document.currentScript = {
+          src: "https://example.com/css/app.loader.js",
+        };
+        const context = { document, URL };
+        vm.runInNewContext(code, context);
+        const loading = context.cssChunks.app.load();
+        assert.deepStrictEqual(linksOf(document), [
+          "https://example.com/css/app.1.css print",
+          "https://example.com/css/app.2.css print",
+        ]);
+        document.head.children.forEach((link) => link.onload());
+        await loading;
+
+        // As a CommonJS module it exports the loader factory. Arrays of the
+        // other realm are copied for comparison.
+        const module = { exports: {} };
+        vm.runInNewContext(code, { module, URL });
+        const loader = module.exports(createDocument(), null);
+        assert.deepStrictEqual(Array.from(loader.chunks), [
+          "app.1.css",
+          "app.2.css",
+        ]);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    test("should require output for the runtime", () => {
+      assert.throws(
+        () => plugin({ runtime: true }),
+        /runtime requires the output option/
+      );
+    });
+  });
+
+  describe("Vite and Rollup plugin", () => {
+    const rollupPlugin = require("./lib/rollup");
+
+    const css = Array.from(
+      { length: 30 },
+      (_, i) => `.rule-${i} { color: red; margin: ${i}px; }`
+    ).join("\n");
+
+    /**
+     * Build a mocked plugin context that emits assets into a bundle the way
+     * Rollup does, naming them after Vite's default `assets/[name]-[hash]`.
+     * @param {object} bundle The output bundle.
+     * @returns {object} The plugin context, with the `warnings` it received.
+     */
+    function createContext(bundle) {
+      const emitted = [];
+      return {
+        warnings: [],
+        emitFile(file) {
+          const fileName = `assets/${file.name.replace(/\.css$/, "")}-h${
+            emitted.length
+          }.css`;
+          emitted.push(fileName);
+          bundle[fileName] = {
+            type: "asset",
+            fileName,
+            name: file.name,
+            source: file.source,
+          };
+          return `ref-${emitted.length - 1}`;
+        },
+        getFileName(referenceId) {
+          return emitted[Number(referenceId.slice(4))];
+        },
+        warn(message) {
+          this.warnings.push(message);
+        },
+      };
+    }
+
+    /**
+     * Build a bundle like Vite's for an HTML page with one stylesheet.
+     * @param {string} html The HTML page source.
+     * @returns {object} The bundle.
+     */
+    function createBundle(html) {
+      return {
+        "assets/index-abc.css": {
+          type: "asset",
+          fileName: "assets/index-abc.css",
+          name: "index.css",
+          source: css,
+        },
+        "assets/index-def.js": {
+          type: "chunk",
+          fileName: "assets/index-def.js",
+          code: "",
+          viteMetadata: {
+            importedCss: new Set(["assets/index-abc.css", "assets/other.css"]),
+          },
+        },
+        "index.html": {
+          type: "asset",
+          fileName: "index.html",
+          source: html,
+        },
+      };
+    }
+
+    test("should emit chunks and rewrite links in order", async () => {
+      const html = `<head>
+    <link rel="stylesheet" crossorigin href="/app/assets/index-abc.css" integrity="sha384-x" media="screen">
+    <link rel="icon" href="/app/assets/index-abc.css">
+  </head>`;
+      const bundle = createBundle(html);
+      const context = createContext(bundle);
+      const split = rollupPlugin({ size: 300 });
+      assert.strictEqual(split.name, "postcss-split-chunks");
+      await split.generateBundle.call(context, {}, bundle);
+
+      const chunkFiles = Object.keys(bundle).filter((fileName) =>
+        /^assets\/index\.\d+-h\d+\.css$/.test(fileName)
+      );
+      assert.ok(chunkFiles.length > 1);
+      assert.strictEqual(chunkFiles[0], "assets/index.1-h0.css");
+      assert.strictEqual(
+        chunkFiles
+          .map((fileName) => bundle[fileName].source)
+          .join("")
+          .replace(/\s+/g, ""),
+        css.replace(/\s+/g, "")
+      );
+
+      // Links keep their attributes and indentation, except the integrity
+      const links = chunkFiles
+        .map(
+          (fileName) =>
+            `<link rel="stylesheet" crossorigin href="/app/${fileName}" media="screen">`
+        )
+        .join("\n    ");
+      assert.strictEqual(
+        bundle["index.html"].source,
+        `<head>
+    ${links}
+    <link rel="icon" href="/app/assets/index-abc.css">
+  </head>`
+      );
+
+      assert.deepStrictEqual(
+        Array.from(bundle["assets/index-def.js"].viteMetadata.importedCss),
+        chunkFiles.concat("assets/other.css")
+      );
+      // The original file loads its chunks for references from code
+      assert.strictEqual(
+        bundle["assets/index-abc.css"].source,
+        chunkFiles
+          .map((fileName) => `@import url("./${fileName.slice(7)}");`)
+          .join("\n")
+      );
+    });
+
+    test("should rewrite relative links", async () => {
+      const bundle = createBundle(
+        "<link rel=stylesheet href=./assets/index-abc.css?v=1>"
+      );
+      await rollupPlugin({ size: 300 }).generateBundle.call(
+        createContext(bundle),
+        {},
+        bundle
+      );
+      assert.match(
+        bundle["index.html"].source,
+        /^<link rel=stylesheet href="\.\/assets\/index\.1-h0\.css\?v=1">\n<link rel=stylesheet href="\.\/assets\/index\.2-h1\.css\?v=1">/
+      );
+    });
+
+    test("should leave stylesheets that fit alone", async () => {
+      const html = '<link rel="stylesheet" href="/assets/index-abc.css">';
+      const bundle = createBundle(html);
+      const context = createContext(bundle);
+      await rollupPlugin().generateBundle.call(context, {}, bundle);
+
+      assert.strictEqual(Object.keys(bundle).length, 3);
+      assert.strictEqual(bundle["assets/index-abc.css"].source, css);
+      assert.strictEqual(bundle["index.html"].source, html);
+    });
+
+    test("should pass warnings to the build", async () => {
+      const bundle = {
+        "style.css": {
+          type: "asset",
+          fileName: "style.css",
+          source: Buffer.from(`.big { ${"color: red; ".repeat(20)} }`),
+        },
+      };
+      const context = createContext(bundle);
+      await rollupPlugin({ size: 50 }).generateBundle.call(context, {}, bundle);
+      assert.strictEqual(context.warnings.length, 1);
+      assert.ok(context.warnings[0].startsWith("style.css: "));
+    });
+
+    test("should validate options when created", () => {
+      assert.throws(() => rollupPlugin({ size: -1 }), /size must be/);
+    });
+  });
+
+  describe("Webpack plugin", () => {
+    const webpackPlugin = require("./lib/webpack");
+
+    const css = Array.from(
+      { length: 30 },
+      (_, i) => `.rule-${i} { color: red; margin: ${i}px; }`
+    ).join("\n");
+
+    // Minimal stand-ins for webpack-sources
+    class RawSource {
+      constructor(source) {
+        this.value = source;
+      }
+      source() {
+        return this.value;
+      }
+      sourceAndMap() {
+        return { source: this.value, map: null };
+      }
+    }
+    class SourceMapSource extends RawSource {
+      constructor(source, name, map) {
+        super(source);
+        this.name = name;
+        this.map = map;
+      }
+      sourceAndMap() {
+        return { source: this.value, map: this.map };
+      }
+    }
+
+    class HtmlWebpackPlugin {
+      static getHooks(compilation) {
+        if (!compilation.htmlHooks) {
+          compilation.htmlHooks = {
+            beforeAssetTagGeneration: {
+              tapAsync(name, callback) {
+                compilation.htmlHooks.callback = callback;
+              },
+            },
+          };
+        }
+        return compilation.htmlHooks;
+      }
+    }
+
+    /**
+     * Apply the plugin to a mocked compiler and run the asset processing of
+     * a compilation.
+     * @param {object} split The webpack plugin.
+     * @param {object} assets Asset sources by name.
+     * @param {Array<object>} [plugins] The other configured plugins.
+     * @returns {Promise<object>} The mocked compilation.
+     */
+    async function compile(split, assets, plugins = []) {
+      const compilation = {
+        assets: {},
+        warnings: [],
+        hooks: {
+          processAssets: {
+            tapPromise(options, callback) {
+              compilation.stage = options.stage;
+              compilation.processAssets = callback;
+            },
+          },
+        },
+        getAssets() {
+          return Object.keys(this.assets).map((name) =>
+            Object.assign({ name }, this.assets[name])
+          );
+        },
+        emitAsset(name, source, info) {
+          assert.ok(!this.assets[name], `${name} is emitted once`);
+          this.assets[name] = { source, info };
+        },
+        updateAsset(name, source) {
+          this.assets[name].source = source;
+        },
+      };
+      Object.keys(assets).forEach((name) => {
+        compilation.assets[name] = {
+          source: assets[name],
+          info: { minimized: true },
+        };
+      });
+
+      let thisCompilation;
+      split.apply({
+        options: { plugins: [null].concat(plugins) },
+        webpack: {
+          Compilation: { PROCESS_ASSETS_STAGE_OPTIMIZE_SIZE: 400 },
+          WebpackError: Error,
+          sources: { RawSource, SourceMapSource },
+        },
+        hooks: {
+          thisCompilation: {
+            tap(name, callback) {
+              thisCompilation = callback;
+            },
+          },
+        },
+      });
+      thisCompilation(compilation);
+      await compilation.processAssets(compilation.assets);
+      return compilation;
+    }
+
+    test("should replace each stylesheet by its chunks", async () => {
+      const compilation = await compile(webpackPlugin({ size: 300 }), {
+        "css/main.css": new RawSource(css),
+        "main.js": new RawSource("console.log(1)"),
+      });
+      assert.strictEqual(compilation.stage, 401);
+
+      const chunkNames = Object.keys(compilation.assets).filter((name) =>
+        /^css\/main\.\d+\.css$/.test(name)
+      );
+      assert.ok(chunkNames.length > 1);
+      assert.strictEqual(
+        chunkNames
+          .map((name) => compilation.assets[name].source.source())
+          .join("")
+          .replace(/\s+/g, ""),
+        css.replace(/\s+/g, "")
+      );
+      chunkNames.forEach((name) => {
+        assert.ok(compilation.assets[name].source instanceof RawSource);
+        assert.deepStrictEqual(compilation.assets[name].info, {
+          minimized: true,
+        });
+      });
+      assert.strictEqual(
+        compilation.assets["css/main.css"].source.source(),
+        chunkNames
+          .map((name) => `@import url("./${name.slice(4)}");`)
+          .join("\n")
+      );
+      assert.strictEqual(
+        compilation.assets["main.js"].source.source(),
+        "console.log(1)"
+      );
+    });
+
+    test("should map chunks to the original sources", async () => {
+      // A plugin makes PostCSS generate a map of every node
+      const result = await postcss([{ postcssPlugin: "noop" }]).process(css, {
+        from: "src/main.css",
+        to: "main.css",
+        map: { inline: false, annotation: false },
+      });
+      const compilation = await compile(webpackPlugin({ size: 300 }), {
+        "main.css": new SourceMapSource(
+          result.css,
+          "main.css",
+          result.map.toJSON()
+        ),
+      });
+
+      const second = compilation.assets["main.2.css"].source;
+      assert.ok(second instanceof SourceMapSource);
+      assert.strictEqual(second.name, "main.2.css");
+      assert.deepStrictEqual(second.map.sources, ["src/main.css"]);
+
+      // The rules of the second chunk map to their lines in the source
+      const chunkRoot = postcss.parse(second.value, {
+        from: "main.2.css",
+        map: { prev: second.map },
+      });
+      chunkRoot.walkRules((rule) => {
+        const { line, column } = rule.source.start;
+        const original = rule.source.input.origin(line, column);
+        assert.strictEqual(
+          original.line,
+          Number(/\d+/.exec(rule.selector)[0]) + 1
+        );
+      });
+    });
+
+    test("should inject the chunks through html-webpack-plugin", async () => {
+      const compilation = await compile(
+        webpackPlugin({ size: 300 }),
+        {
+          "css/main.css": new RawSource(css),
+          "css/small.css": new RawSource(".a { color: red; }"),
+        },
+        [new HtmlWebpackPlugin()]
+      );
+      const data = {
+        outputName: "index.html",
+        assets: {
+          css: ["/static/css/main.css?v=1", "css/small.css"],
+          js: ["main.js"],
+        },
+      };
+      const output = await new Promise((resolve, reject) =>
+        compilation.htmlHooks.callback(data, (error, value) =>
+          error ? reject(error) : resolve(value)
+        )
+      );
+
+      const chunkNames = Object.keys(compilation.assets).filter((name) =>
+        /^css\/main\.\d+\.css$/.test(name)
+      );
+      assert.deepStrictEqual(
+        output.assets.css,
+        chunkNames.map((name) => `/static/${name}?v=1`).concat("css/small.css")
+      );
+      assert.deepStrictEqual(output.assets.js, ["main.js"]);
+    });
+
+    test("should report warnings on the compilation", async () => {
+      const compilation = await compile(webpackPlugin({ size: 50 }), {
+        "style.css": new RawSource(`.big { ${"color: red; ".repeat(20)} }`),
+      });
+      assert.strictEqual(compilation.warnings.length, 1);
+      assert.ok(compilation.warnings[0] instanceof Error);
+      assert.match(compilation.warnings[0].message, /: style\.css: /);
+      assert.strictEqual(Object.keys(compilation.assets).length, 1);
+    });
+
+    test("should validate options when created", () => {
+      assert.throws(() => webpackPlugin({ size: -1 }), /size must be/);
+    });
+  });
 });
@@ -0,0 +1,390 @@
+const fs = require("fs");
+const path = require("path");
+const postcss = require("postcss");
+const plugin = require("../index");
+const { version } = require("../package.json");
+const { expandGlob } = require("./glob");
+const { CHUNK_MARKER, rewriteHtml } = require("./html");
+const { parseSize } = require("./size");
+
+const USAGE = `Usage: postcss-split-chunks [options] <files or globs...>
+
+Options:
+  -s, --size <size>      Maximum size of each chunk, e.g. 50kb or 1MiB (default: 400kb)
+  -o, --out-dir <dir>    Directory to write the chunks to (default: next to each input)
+  -n, --name <template>  Chunk file name template (default: [name].[index].css)
+  -m, --map              Write an external source map next to every chunk
+      --manifest[=file]  Write a manifest for every input
+                         (default: [name].manifest.json in the output directory)
+      --strict           Verify emitted sizes, exit with 3 if a chunk exceeds the size
+      --html <files>     Rewrite the stylesheet links of HTML pages to link the chunks
+                         (repeatable, accepts globs)
+      --root <dir>       Directory that root-relative hrefs resolve against
+                         (default: the directory of each page)
+      --preload          Add a preload hint for every chunk to the pages
+      --integrity        Add SRI integrity attributes to the chunk links
+  -w, --watch            Split inputs again when they change
+  -h, --help             Show this help
+  -v, --version          Show the version
+`;
+
+// Exit codes
+const OK = 0;
+const FAILED = 1; // An input could not be read, parsed or split
+const USAGE_ERROR = 2;
+const OVERSIZED = 3; // With --strict, a chunk exceeds the size limit
+
+// Time to wait for more changes before splitting a watched input again
+const WATCH_DELAY = 100;
+
+/**
+ * Parse command-line arguments.
+ * @param {Array<string>} argv The arguments after the command name.
+ * @returns {object} The CLI options.
+ */
+const parseArgs = (argv) => {
+  const options = {
+    inputs: [],
+    size: 400 * 1024, // Same default as the plugin
+    outDir: null,
+    name: "[name].[index].css",
+    map: false,
+    manifest: false,
+    strict: false,
+    html: [],
+    root: null,
+    preload: false,
+    integrity: false,
+    watch: false,
+    help: false,
+    version: false,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    let arg = argv[i];
+    let inline = null;
+    if (arg.startsWith("--") && arg.includes("=")) {
+      inline = arg.slice(arg.indexOf("=") + 1);
+      arg = arg.slice(0, arg.indexOf("="));
+    }
+    const value = () => {
+      if (inline !== null) return inline;
+      if (i + 1 >= argv.length) throw new Error(`${arg} requires a value`);
+      return argv[++i];
+    };
+
+    switch (arg) {
+      case "-s":
+      case "--size": {
+        const size = value();
+        try {
+          options.size = parseSize(size, "--size");
+        } catch (error) {
+          throw new Error(
+            `invalid --size '${size}', expected a number of bytes or a size like 50kb or 1MiB`
+          );
+        }
+        break;
+      }
+      case "-o":
+      case "--out-dir":
+        options.outDir = value();
+        break;
+      case "-n":
+      case "--name":
+        options.name = value();
+        break;
+      case "-m":
+      case "--map":
+        options.map = true;
+        break;
+      case "--manifest":
+        options.manifest = inline === null ? true : inline;
+        break;
+      case "--strict":
+        options.strict = true;
+        break;
+      case "--html":
+        options.html.push(value());
+        break;
+      case "--root":
+        options.root = value();
+        break;
+      case "--preload":
+        options.preload = true;
+        break;
+      case "--integrity":
+        options.integrity = true;
+        break;
+      case "-w":
+      case "--watch":
+        options.watch = true;
+        break;
+      case "-h":
+      case "--help":
+        options.help = true;
+        break;
+      case "-v":
+      case "--version":
+        options.version = true;
+        break;
+      case "--":
+        options.inputs.push(...argv.slice(i + 1));
+        i = argv.length;
+        break;
+      default:
+        if (arg.startsWith("-")) throw new Error(`unknown option '${arg}'`);
+        options.inputs.push(arg);
+    }
+  }
+  return options;
+};
+
+/**
+ * Resolve the directory the chunks of an input are written to.
+ * @param {string} from Absolute path of the input.
+ * @param {object} options The CLI options.
+ * @param {string} cwd The working directory.
+ * @returns {string}
+ */
+const outputDirectory = (from, options, cwd) =>
+  options.outDir ? path.resolve(cwd, options.outDir) : path.dirname(from);
+
+// Match text literally in a regular expression
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Match the absolute paths of the chunks written for an input, whatever
+ * their index and content hash.
+ * @param {string} file The input path, relative to `cwd`.
+ * @param {object} options The CLI options.
+ * @param {string} cwd The working directory.
+ * @returns {RegExp}
+ */
+const outputPattern = (file, options, cwd) => {
+  const from = path.resolve(cwd, file);
+  const name = path.basename(from, path.extname(from));
+  const template = path.join(outputDirectory(from, options, cwd), options.name);
+  const source = template
+    .split(/(\[(?:name|index|contenthash)(?::\d+)?\])/)
+    .map((part, index) => {
+      if (index % 2 === 0) return escapeRegExp(part);
+      if (part === "[name]") return escapeRegExp(name);
+      return part === "[index]" ? "\\d+" : "[0-9a-f]+";
+    })
+    .join("");
+  return new RegExp(`^${source}$`);
+};
+
+/**
+ * Split one input file with the plugin and write its chunks.
+ * @param {string} file The input path, relative to `cwd`.
+ * @param {object} options The CLI options.
+ * @param {{ stdout: object, stderr: object, cwd: string }} io Streams and working directory.
+ * @returns {Promise<{ code: number, chunks: Array<object> }>} The exit code and chunk results of this input.
+ */
+const splitFile = async (file, options, io) => {
+  const from = path.resolve(io.cwd, file);
+  const outDir = outputDirectory(from, options, io.cwd);
+  const name = path.basename(from, path.extname(from));
+  const manifest =
+    options.manifest &&
+    (options.manifest === true
+      ? path.join(outDir, `${name}.manifest.json`)
+      : path.resolve(io.cwd, options.manifest.replace(/\[name\]/g, name)));
+
+  try {
+    const css = fs.readFileSync(from, "utf8");
+    const result = await postcss([
+      plugin({
+        size: options.size,
+        output: path.join(outDir, options.name),
+        manifest,
+        strict: options.strict,
+      }),
+    ]).process(css, { from, map: options.map ? { inline: false } : false });
+
+    result.warnings().forEach((warning) => {
+      io.stderr.write(`${warning.toString()}\n`);
+    });
+    result.chunks.forEach((chunk) => {
+      io.stdout.write(
+        `${path.relative(io.cwd, chunk.opts.to)} ${chunk.meta.bytes} bytes\n`
+      );
+    });
+
+    const oversized = result.chunks.some(
+      (chunk) =>
+        chunk.meta.oversized ||
+        (options.size > 0 && chunk.meta.bytes > options.size)
+    );
+    return {
+      code: options.strict && oversized ? OVERSIZED : OK,
+      chunks: result.chunks,
+    };
+  } catch (error) {
+    // Syntax errors show the offending source
+    io.stderr.write(
+      `${error.name === "CssSyntaxError" ? error.toString() : error.message}\n`
+    );
+    return { code: FAILED, chunks: [] };
+  }
+};
+
+/**
+ * Rewrite an HTML page in place to link the chunks of the split inputs. Links
+ * written by a previous run are replaced as well. A page without links to the
+ * split inputs is an error, since their chunks would not be loaded.
+ * @param {string} page The page path, relative to `cwd`.
+ * @param {Map<string, Array<object>>} stylesheets Chunk results of every input path.
+ * @param {object} options The CLI options.
+ * @param {{ stdout: object, stderr: object, cwd: string }} io Streams and working directory.
+ * @returns {number} The exit code for this page.
+ */
+const rewritePage = (page, stylesheets, options, io) => {
+  const file = path.resolve(io.cwd, page);
+  try {
+    const html = fs.readFileSync(file, "utf8");
+    const rewritten = rewriteHtml(html, {
+      file,
+      root: options.root && path.resolve(io.cwd, options.root),
+      stylesheets,
+      preload: options.preload,
+      integrity: options.integrity,
+    });
+    if (!rewritten.includes(` ${CHUNK_MARKER}=`)) {
+      io.stderr.write(`${page}: no links to the split stylesheets\n`);
+      return FAILED;
+    }
+    if (rewritten === html) {
+      io.stdout.write(`${page} unchanged\n`);
+    } else {
+      fs.writeFileSync(file, rewritten);
+      io.stdout.write(`${page} rewritten\n`);
+    }
+    return OK;
+  } catch (error) {
+    io.stderr.write(`${error.message}\n`);
+    return FAILED;
+  }
+};
+
+/**
+ * Combine the exit codes of several inputs. Failures take precedence over
+ * oversized chunks.
+ * @param {Array<number>} codes Exit codes per input.
+ * @returns {number}
+ */
+const combineCodes = (codes) => {
+  if (codes.includes(FAILED)) return FAILED;
+  if (codes.includes(OVERSIZED)) return OVERSIZED;
+  return OK;
+};
+
+/**
+ * Run the command line.
+ * @param {Array<string>} argv The arguments after the command name.
+ * @param {{ stdout?: object, stderr?: object, cwd?: string, signal?: AbortSignal }} [io]
+ *   Output streams, working directory, and a signal that ends `--watch`.
+ * @returns {Promise<number>} The exit code. With `--watch`, settles once the signal aborts.
+ */
+const run = async (argv, io = {}) => {
+  const context = {
+    stdout: io.stdout || process.stdout,
+    stderr: io.stderr || process.stderr,
+    cwd: io.cwd || process.cwd(),
+  };
+
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (error) {
+    context.stderr.write(
+      `postcss-split-chunks: ${error.message}\nRun 'postcss-split-chunks --help' for usage.\n`
+    );
+    return USAGE_ERROR;
+  }
+  if (options.help) {
+    context.stdout.write(USAGE);
+    return OK;
+  }
+  if (options.version) {
+    context.stdout.write(`${version}\n`);
+    return OK;
+  }
+
+  const matches = [];
+  options.inputs.forEach((input) => {
+    expandGlob(input, context.cwd).forEach((file) => {
+      if (!matches.includes(file)) matches.push(file);
+    });
+  });
+  // Chunks of a previous run that the globs match as well are not inputs
+  const patterns = matches.map((file) =>
+    outputPattern(file, options, context.cwd)
+  );
+  const files = matches.filter((file) =>
+    patterns.every(
+      (pattern, index) =>
+        matches[index] === file ||
+        !pattern.test(path.resolve(context.cwd, file))
+    )
+  );
+  if (files.length === 0) {
+    context.stderr.write(
+      `postcss-split-chunks: no input files\nRun 'postcss-split-chunks --help' for usage.\n`
+    );
+    return USAGE_ERROR;
+  }
+
+  // Chunks of every split input, for the pages
+  const stylesheets = new Map();
+  const split = async (file) => {
+    const { code, chunks } = await splitFile(file, options, context);
+    if (chunks.length > 0) {
+      stylesheets.set(path.resolve(context.cwd, file), chunks);
+    }
+    return code;
+  };
+  const pages = [];
+  options.html.forEach((pattern) => {
+    expandGlob(pattern, context.cwd).forEach((page) => {
+      if (!pages.includes(page)) pages.push(page);
+    });
+  });
+  const rewritePages = () =>
+    pages.map((page) => rewritePage(page, stylesheets, options, context));
+
+  const codes = [];
+  for (const file of files) {
+    codes.push(await split(file));
+  }
+  codes.push(...rewritePages());
+  if (!options.watch) return combineCodes(codes);
+
+  context.stdout.write("Watching for changes...\n");
+  return new Promise((resolve) => {
+    const timers = new Map();
+    const existing = files.filter((file) =>
+      fs.existsSync(path.resolve(context.cwd, file))
+    );
+    const watchers = existing.map((file) =>
+      fs.watch(path.resolve(context.cwd, file), () => {
+        clearTimeout(timers.get(file));
+        timers.set(
+          file,
+          setTimeout(() => split(file).then(rewritePages), WATCH_DELAY)
+        );
+      })
+    );
+    const stop = () => {
+      watchers.forEach((watcher) => watcher.close());
+      timers.forEach((timer) => clearTimeout(timer));
+      resolve(OK);
+    };
+    if (io.signal && io.signal.aborted) stop();
+    else if (io.signal) io.signal.addEventListener("abort", stop);
+  });
+};
+
+module.exports = { run };
@@ -0,0 +1,90 @@
+const fs = require("fs");
+const path = require("path");
+
+// Characters that make a path segment a pattern
+const MAGIC = /[*?{]/;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Translate a glob into a regular expression over forward slash paths.
+ * Supports `*`, `?`, `**` for any number of directories and `{a,b}`.
+ * @param {string} pattern The normalized glob.
+ * @returns {RegExp}
+ */
+const globToRegExp = (pattern) => {
+  let source = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === "*" && pattern[i + 1] === "*") {
+      if (pattern[i + 2] === "/") {
+        source += "(?:[^/]*/)*";
+        i += 2;
+      } else {
+        source += ".*";
+        i += 1;
+      }
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "{" && pattern.indexOf("}", i) > i) {
+      const end = pattern.indexOf("}", i);
+      const options = pattern.slice(i + 1, end).split(",");
+      source += `(?:${options.map(escapeRegExp).join("|")})`;
+      i = end;
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+  return new RegExp(`^${source}$`);
+};
+
+/**
+ * Expand a glob into the files it matches, sorted. Paths without pattern
+ * characters are returned as they are, whether they exist or not. Hidden
+ * entries and `node_modules` are skipped.
+ * @param {string} pattern The glob, relative to `cwd` or absolute.
+ * @param {string} cwd The directory relative patterns start from.
+ * @returns {Array<string>} Matching paths, in the form of the pattern.
+ */
+const expandGlob = (pattern, cwd) => {
+  const normalized = path.posix.normalize(pattern.split(path.sep).join("/"));
+  if (!MAGIC.test(normalized)) return [pattern];
+
+  const segments = normalized.split("/");
+  const firstMagic = segments.findIndex((segment) => MAGIC.test(segment));
+  // An absolute pattern starts with an empty segment
+  const base =
+    segments.slice(0, firstMagic).join("/") ||
+    (normalized.startsWith("/") ? "/" : "");
+  const maxDepth = normalized.includes("**")
+    ? Infinity
+    : segments.length - firstMagic;
+  const matcher = globToRegExp(normalized);
+
+  const matches = [];
+  const walk = (dir, depth) => {
+    let entries;
+    try {
+      entries = fs.readdirSync(path.resolve(cwd, dir || "."), {
+        withFileTypes: true,
+      });
+    } catch (error) {
+      return;
+    }
+    entries.forEach((entry) => {
+      if (entry.name.startsWith(".") || entry.name === "node_modules") return;
+      const file = dir ? path.posix.join(dir, entry.name) : entry.name;
+      if (entry.isDirectory()) {
+        if (depth < maxDepth) walk(file, depth + 1);
+      } else if (matcher.test(file)) {
+        matches.push(file);
+      }
+    });
+  };
+  walk(base, 1);
+  return matches.sort();
+};
+
+module.exports = { expandGlob };
@@ -0,0 +1,286 @@
+const fs = require("fs");
+const path = require("path");
+const { integrity, relativePath } = require("./manifest");
+
+// Every `<link>` tag of a document
+const LINK_TAG = /<link\b[^>]*>/gi;
+
+/**
+ * Match an attribute in a tag.
+ * @param {string} name The attribute name.
+ * @returns {RegExp} Captures the value in double, single or no quotes.
+ */
+const attributePattern = (name) =>
+  new RegExp(`(\\s${name}\\s*=\\s*)("([^"]*)"|'([^']*)'|([^\\s"'>]+))`, "i");
+
+/**
+ * Read an attribute of a tag.
+ * @param {string} tag The tag source.
+ * @param {string} name The attribute name.
+ * @returns {string|null} The value, or `null` when the attribute is missing.
+ */
+const getAttribute = (tag, name) => {
+  const match = attributePattern(name).exec(tag);
+  if (!match) return null;
+  if (match[3] !== undefined) return match[3];
+  return match[4] !== undefined ? match[4] : match[5];
+};
+
+/**
+ * Replace the value of an attribute of a tag, keeping its quotes.
+ * @param {string} tag The tag source.
+ * @param {string} name The attribute name, which must be present.
+ * @param {string} value The new value.
+ * @returns {string} The changed tag.
+ */
+const setAttribute = (tag, name, value) =>
+  tag.replace(attributePattern(name), (_, prefix, quoted) => {
+    const quote = /^["']/.test(quoted) ? quoted[0] : '"';
+    return `${prefix}${quote}${value}${quote}`;
+  });
+
+/**
+ * Drop an attribute from a tag.
+ * @param {string} tag The tag source.
+ * @param {string} name The attribute name.
+ * @returns {string} The changed tag.
+ */
+const removeAttribute = (tag, name) => tag.replace(attributePattern(name), "");
+
+/**
+ * Set an attribute of a tag, adding it at the end when it is missing.
+ * @param {string} tag The tag source.
+ * @param {string} name The attribute name.
+ * @param {string} value The new value.
+ * @returns {string} The changed tag.
+ */
+const withAttribute = (tag, name, value) =>
+  getAttribute(tag, name) === null
+    ? tag.replace(/\s*\/?>$/, (end) => ` ${name}="${value}"${end}`)
+    : setAttribute(tag, name, value);
+
+/**
+ * Replace stylesheet links with tags built from them, on the indentation of
+ * the original link.
+ * @param {string} html The HTML document.
+ * @param {(tag: string, href: string) => Array<string>|null} replace Returns the new tags of a link, or `null` to keep it.
+ * @returns {string} The rewritten document.
+ */
+const replaceStylesheetLinks = (html, replace) =>
+  html.replace(LINK_TAG, (tag, offset) => {
+    const rel = getAttribute(tag, "rel");
+    const href = getAttribute(tag, "href");
+    if (!rel || !/(^|\s)stylesheet(\s|$)/i.test(rel) || href === null) {
+      return tag;
+    }
+    const tags = replace(tag, href);
+    if (!tags) return tag;
+
+    const lineStart = html.lastIndexOf("\n", offset) + 1;
+    const indent = /^[ \t]*/.exec(html.slice(lineStart, offset))[0];
+    return tags.join(`\n${indent}`);
+  });
+
+/**
+ * Replace stylesheet links with one link per chunk, in order. The copies keep
+ * the other attributes of the link, like `media`, and its indentation.
+ * Integrity values only apply to the original file, so they are dropped.
+ * @param {string} html The HTML document.
+ * @param {(href: string) => Array<string>|null} replace Returns the chunk hrefs of a stylesheet href, or `null` to keep the link.
+ * @returns {string} The rewritten document.
+ */
+const rewriteStylesheetLinks = (html, replace) =>
+  replaceStylesheetLinks(html, (tag, href) => {
+    const hrefs = replace(href);
+    if (!hrefs) return null;
+    const base = removeAttribute(tag, "integrity");
+    return hrefs.map((chunkHref) => setAttribute(base, "href", chunkHref));
+  });
+
+/**
+ * Express an output file name relative to the directory of another one.
+ * @param {string} from The referencing file name.
+ * @param {string} to The referenced file name.
+ * @returns {string} A relative URL starting with `./` or `../`.
+ */
+const relativeUrl = (from, to) => {
+  const url = path.posix.relative(path.posix.dirname(from), to);
+  return url.startsWith(".") ? url : `./${url}`;
+};
+
+/**
+ * Find the URLs that replace a reference to a split stylesheet. Relative
+ * references stay relative, others keep their base path, and the query and
+ * hash are kept on every chunk.
+ * @param {string} href The reference, e.g. `/base/assets/app.css?v=1`.
+ * @param {Map<string, Array<string>>} chunksOf Chunk file names of every split stylesheet, relative to the output directory.
+ * @param {string} referrer File name of the referencing document, relative to the output directory.
+ * @returns {Array<string>|null} The chunk URLs in order, or `null` for other references.
+ */
+const chunkHrefs = (href, chunksOf, referrer) => {
+  const end = href.search(/[?#]|$/);
+  const url = href.slice(0, end);
+  const query = href.slice(end);
+  const split = Array.from(chunksOf.keys()).find(
+    (file) =>
+      url === file ||
+      url.endsWith(`/${file}`) ||
+      url === relativeUrl(referrer, file)
+  );
+  if (!split) return null;
+
+  const chunkFiles = chunksOf.get(split);
+  if (url === relativeUrl(referrer, split)) {
+    return chunkFiles.map(
+      (chunkFile) => `${relativeUrl(referrer, chunkFile)}${query}`
+    );
+  }
+  const prefix = url.slice(0, url.length - split.length);
+  return chunkFiles.map((chunkFile) => `${prefix}${chunkFile}${query}`);
+};
+
+/**
+ * Read a chunk given as a file path, a manifest entry or a chunk result.
+ * @param {string|object} chunk The chunk.
+ * @returns {{ file: string, css: string|undefined, integrity: string|undefined }}
+ */
+const normalizeChunk = (chunk) => {
+  if (typeof chunk === "string") return { file: path.resolve(chunk) };
+  const file = chunk.file || (chunk.opts && chunk.opts.to);
+  if (!file) {
+    throw new Error(
+      "postcss-chunk-by-size: every chunk of a stylesheet needs a file, set the output option when splitting"
+    );
+  }
+  return {
+    file: path.resolve(file),
+    css: chunk.css,
+    integrity: chunk.integrity,
+  };
+};
+
+// Marks the links written for the chunks of a stylesheet, with its href
+const CHUNK_MARKER = "data-split-chunks";
+
+/**
+ * Turn the links written by a previous rewrite back into the stylesheet link
+ * they replaced. Consecutive links of the same stylesheet, including preload
+ * hints, collapse into one.
+ * @param {string} html The HTML page source.
+ * @returns {string} The page with its original stylesheet links.
+ */
+const restoreStylesheetLinks = (html) => {
+  let previous = null; // Marker and end offset of the last restored link
+  return html.replace(/(\s*)(<link\b[^>]*>)/gi, (match, space, tag, offset) => {
+    const href = getAttribute(tag, CHUNK_MARKER);
+    if (href === null) {
+      previous = null;
+      return match;
+    }
+    const repeated =
+      previous && previous.href === href && previous.end === offset;
+    previous = { href, end: offset + match.length };
+    if (repeated) return "";
+
+    let link = ["integrity", "as", CHUNK_MARKER].reduce(removeAttribute, tag);
+    link = setAttribute(link, "rel", "stylesheet");
+    return `${space}${setAttribute(link, "href", href)}`;
+  });
+};
+
+/**
+ * Rewrite the stylesheet links of an HTML page to link the chunks of split
+ * stylesheets in order. The new links keep the other attributes of the
+ * original, like `media`. Relative hrefs stay relative to the page and
+ * root-relative hrefs stay root-relative, with their query and hash. The new
+ * links are marked with a `data-split-chunks` attribute holding the original
+ * href, so a page can be rewritten again when the chunks change.
+ * @param {string} html The HTML page source.
+ * @param {object} options The rewrite options.
+ * @param {Map<string, Array>|Object<string, Array>} options.stylesheets Chunks of every split stylesheet path: file paths, manifest entries or `result.chunks`.
+ * @param {string} [options.file] Path of the page, that relative hrefs resolve against (default: `index.html`).
+ * @param {string} [options.root] Directory that root-relative hrefs resolve against (default: the directory of the page).
+ * @param {boolean} [options.preload] Add a `rel="preload"` hint for every chunk before its links.
+ * @param {boolean} [options.integrity] Add a `sha384` SRI `integrity` attribute to every chunk link and hint.
+ * @returns {string} The rewritten page.
+ */
+const rewriteHtml = (html, options) => {
+  const file = path.resolve(options.file || "index.html");
+  const root = path.resolve(options.root || path.dirname(file));
+  const stylesheets = new Map();
+  const entries =
+    options.stylesheets instanceof Map
+      ? Array.from(options.stylesheets)
+      : Object.keys(options.stylesheets || {}).map((key) => [
+          key,
+          options.stylesheets[key],
+        ]);
+  entries.forEach(([stylesheet, chunks]) => {
+    stylesheets.set(path.resolve(stylesheet), chunks.map(normalizeChunk));
+  });
+
+  return replaceStylesheetLinks(restoreStylesheetLinks(html), (tag, href) => {
+    // Other origins and data URLs are never split stylesheets
+    if (/^([a-z][a-z\d+.-]*:|\/\/)/i.test(href)) return null;
+    const end = href.search(/[?#]|$/);
+    let url;
+    try {
+      url = decodeURI(href.slice(0, end));
+    } catch (error) {
+      // A malformed escape cannot name a file that was split
+      return null;
+    }
+    const query = href.slice(end);
+    const chunks = stylesheets.get(
+      url.startsWith("/")
+        ? path.join(root, url)
+        : path.resolve(path.dirname(file), url)
+    );
+    if (!chunks) return null;
+
+    const base = withAttribute(
+      removeAttribute(tag, "integrity"),
+      CHUNK_MARKER,
+      href.replace(/"/g, "&quot;")
+    );
+    const preloads = [];
+    const links = chunks.map((chunk) => {
+      let chunkUrl;
+      if (url.startsWith("/")) {
+        chunkUrl = `/${relativePath(root, chunk.file)}`;
+      } else {
+        chunkUrl = relativePath(path.dirname(file), chunk.file);
+        if (url.startsWith("./") && !chunkUrl.startsWith(".")) {
+          chunkUrl = `./${chunkUrl}`;
+        }
+      }
+      let link = setAttribute(base, "href", `${encodeURI(chunkUrl)}${query}`);
+      if (options.integrity) {
+        const value =
+          chunk.integrity ||
+          integrity(
+            chunk.css === undefined ? fs.readFileSync(chunk.file) : chunk.css
+          );
+        link = withAttribute(link, "integrity", value);
+      }
+      if (options.preload) {
+        preloads.push(
+          withAttribute(setAttribute(link, "rel", "preload"), "as", "style")
+        );
+      }
+      return link;
+    });
+    return preloads.concat(links);
+  });
+};
+
+module.exports = {
+  CHUNK_MARKER,
+  relativeUrl,
+  chunkHrefs,
+  getAttribute,
+  setAttribute,
+  removeAttribute,
+  rewriteStylesheetLinks,
+  rewriteHtml,
+};
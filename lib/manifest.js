@@ -0,0 +1,133 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Compute a Subresource Integrity string for chunk CSS.
+ * @param {string} css The exact CSS that is served.
+ * @returns {string} A `sha384-...` integrity value.
+ */
+const integrity = (css) =>
+  `sha384-${crypto.createHash("sha384").update(css).digest("base64")}`;
+
+/**
+ * Express a path relative to a base directory with forward slashes.
+ * @param {string} base The base directory.
+ * @param {string} file The path to express.
+ * @returns {string} The relative path.
+ */
+const relativePath = (base, file) =>
+  path.relative(base, file).split(path.sep).join("/");
+
+// Hex digits kept from the hash of a unit key
+const UNIT_KEY_LENGTH = 12;
+
+/**
+ * Identify a unit by its selector or @-rule prelude and the key of the
+ * @-rules around it. Declarations are left out, so an edited rule keeps its
+ * identity.
+ * @param {string} scope The key of the enclosing @-rule, or `""` at the top level.
+ * @param {import('postcss').Node} node The rule or @-rule.
+ * @returns {string} A short hex hash of the key.
+ */
+const unitKey = (scope, node) => {
+  const prelude =
+    node.type === "rule" ? node.selector : `@${node.name} ${node.params}`;
+  return crypto
+    .createHash("md5")
+    .update(`${scope}\n${prelude.replace(/\s+/g, " ").trim()}`)
+    .digest("hex")
+    .slice(0, UNIT_KEY_LENGTH);
+};
+
+// Children that make an @-rule a shell rather than a leaf
+const isRuleLike = (node) => node.type === "rule" || node.type === "atrule";
+
+/**
+ * Collect the source line ranges a chunk was built from, per input file.
+ * Only rules and unsplit @-rules are considered, since rebuilt @-rule shells
+ * carry the source range of the whole original @-rule.
+ * @param {import('postcss').Root} chunk The chunk root.
+ * @param {string} base Directory that source file paths are relative to.
+ * @returns {Array<{ file: string, startLine: number, endLine: number }>}
+ */
+const sourceRanges = (chunk, base) => {
+  const ranges = new Map();
+  chunk.walk((node) => {
+    const source = node.source;
+    if (!source || !source.start || !source.input) return;
+    if (node.type === "decl") return;
+    if (node.type === "atrule" && node.nodes && node.some(isRuleLike)) return;
+
+    const file = source.input.file
+      ? relativePath(base, source.input.file)
+      : source.input.id;
+    const end = source.end || source.start;
+    const range = ranges.get(file);
+    if (range) {
+      range.startLine = Math.min(range.startLine, source.start.line);
+      range.endLine = Math.max(range.endLine, end.line);
+    } else {
+      ranges.set(file, {
+        file,
+        startLine: source.start.line,
+        endLine: end.line,
+      });
+    }
+  });
+  return Array.from(ranges.values());
+};
+
+/**
+ * Resolve where the manifest is written.
+ * @param {boolean|string} manifest The `manifest` plugin option.
+ * @param {string} [firstFile] Path of the first written chunk.
+ * @returns {string} Absolute path of `manifest.json`.
+ */
+const manifestPath = (manifest, firstFile) =>
+  typeof manifest === "string"
+    ? path.resolve(manifest)
+    : path.join(
+        firstFile ? path.dirname(firstFile) : process.cwd(),
+        "manifest.json"
+      );
+
+/**
+ * Write a manifest as formatted JSON, creating missing directories.
+ * @param {string} file Absolute path of the manifest.
+ * @param {object} manifest The manifest object.
+ */
+const writeManifest = (file, manifest) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(manifest, null, 2)}\n`);
+};
+
+/**
+ * Read the units of a previous manifest.
+ * @param {object|string} previous The manifest, or the path of its JSON file.
+ * @returns {Map<string, Array<number>>} Chunk indexes of every unit key, in order of occurrence.
+ */
+const readPreviousManifest = (previous) => {
+  const manifest =
+    typeof previous === "string"
+      ? JSON.parse(fs.readFileSync(previous, "utf8"))
+      : previous;
+  const chunksByUnit = new Map();
+  (manifest.chunks || []).forEach((chunk) => {
+    (chunk.units || []).forEach((key) => {
+      if (!chunksByUnit.has(key)) chunksByUnit.set(key, []);
+      chunksByUnit.get(key).push(chunk.index);
+    });
+  });
+  return chunksByUnit;
+};
+
+module.exports = {
+  integrity,
+  relativePath,
+  sourceRanges,
+  manifestPath,
+  writeManifest,
+  unitKey,
+  readPreviousManifest,
+};
@@ -0,0 +1,58 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+// Hex digits used for [contenthash] when the template gives no length
+const DEFAULT_HASH_LENGTH = 20;
+
+/**
+ * Hash chunk CSS for use in file names.
+ * @param {string} css The chunk CSS.
+ * @returns {string} Hex encoded md5 digest.
+ */
+const contentHash = (css) => crypto.createHash("md5").update(css).digest("hex");
+
+/**
+ * Render a chunk file name from a template. Supported placeholders are
+ * `[name]` (input file name without extension), `[index]` (1-based chunk
+ * position) and `[contenthash]` / `[contenthash:N]`.
+ * @param {string} template The file name template, e.g. `dist/[name].[index].css`.
+ * @param {{ name: string, index: number, css: string }} chunk Values for the placeholders.
+ * @returns {string} The rendered file name.
+ */
+const renderFilename = (template, { name, index, css }) =>
+  template.replace(
+    /\[(name|index|contenthash)(?::(\d+))?\]/g,
+    (_, key, length) => {
+      if (key === "name") return name;
+      if (key === "index") return String(index + 1);
+      return contentHash(css).slice(
+        0,
+        length ? Number(length) : DEFAULT_HASH_LENGTH
+      );
+    }
+  );
+
+/**
+ * Derive the `[name]` placeholder from the input file path.
+ * @param {string} [from] The `from` option of the processed input.
+ * @returns {string} The input file name without extension, or `chunk`.
+ */
+const chunkName = (from) =>
+  from ? path.basename(from, path.extname(from)) : "chunk";
+
+/**
+ * Write a chunk and, when present, its external source map next to it.
+ * Missing directories are created.
+ * @param {import('postcss').Result} chunkResult The chunk result, with `opts.to` set.
+ */
+const writeChunk = (chunkResult) => {
+  const file = chunkResult.opts.to;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, chunkResult.css);
+  if (chunkResult.map) {
+    fs.writeFileSync(`${file}.map`, chunkResult.map.toString());
+  }
+};
+
+module.exports = { contentHash, renderFilename, chunkName, writeChunk };
@@ -0,0 +1,221 @@
+/**
+ * Stylesheet-level statements. `@charset`, `@import` and `@namespace` apply to
+ * the file they appear in, and the cascade layer order is fixed by the first
+ * stylesheet that names a layer. They are taken out of the normal flow and
+ * repeated at the top of every chunk that needs them.
+ */
+
+/**
+ * Whether a node may precede `@import` and `@namespace` statements.
+ * @param {import('postcss').Node} node The node to check.
+ * @returns {boolean}
+ */
+const isPreludeNode = (node) =>
+  node.type === "comment" ||
+  (node.type === "atrule" &&
+    (node.name === "charset" ||
+      node.name === "import" ||
+      (node.name === "layer" && !node.nodes)));
+
+/**
+ * Qualify a layer name with the names of the layer blocks around a node.
+ * @param {import('postcss').AtRule} node The `@layer` or `@import` rule.
+ * @param {string} name The layer name as written.
+ * @returns {string|null} The dotted name, or `null` inside an anonymous layer.
+ */
+const qualifyLayer = (node, name) => {
+  const names = [name];
+  for (let parent = node.parent; parent; parent = parent.parent) {
+    if (parent.type === "atrule" && parent.name === "layer") {
+      if (!parent.params.trim()) return null;
+      names.unshift(parent.params.trim());
+    }
+  }
+  return names.join(".");
+};
+
+/**
+ * Collect every named cascade layer in the order it first appears, from
+ * `@layer` statements and blocks at any depth and from `@import ... layer(x)`.
+ * Parent layers are listed before their sub-layers.
+ * @param {import('postcss').Root} root The input root.
+ * @returns {Array<string>} Layer names in cascade order.
+ */
+const collectLayerOrder = (root) => {
+  const order = [];
+  const seen = new Set();
+  const add = (name) => {
+    if (!name) return;
+    name.split(".").forEach((_, i, parts) => {
+      const qualified = parts.slice(0, i + 1).join(".");
+      if (!seen.has(qualified)) {
+        seen.add(qualified);
+        order.push(qualified);
+      }
+    });
+  };
+
+  root.walkAtRules((node) => {
+    if (node.name === "layer") {
+      node.params
+        .split(",")
+        .map((name) => name.trim())
+        .filter(Boolean)
+        .forEach((name) => add(qualifyLayer(node, name)));
+    } else if (node.name === "import") {
+      const match = /\blayer\(\s*([^)\s]+)\s*\)/i.exec(node.params);
+      if (match) add(match[1]);
+    }
+  });
+  return order;
+};
+
+/**
+ * Collect the stylesheet-level statements of a root and validate where they
+ * appear. Browsers ignore misplaced statements, but a chunk boundary could
+ * make them valid again, so they are reported and dropped from the chunks.
+ * @param {import('postcss').Root} root The input root.
+ * @param {import('postcss').Result} result The result to report warnings to.
+ * @param {import('postcss')} postcss The PostCSS instance used to build nodes.
+ * @returns {{ charset: import('postcss').AtRule|null, layers: import('postcss').AtRule|null, imports: Array<import('postcss').AtRule>, namespaces: Array<import('postcss').AtRule>, hoisted: Set<import('postcss').Node> }}
+ */
+const collectPreamble = (root, result, postcss) => {
+  const layerOrder = collectLayerOrder(root);
+  const preamble = {
+    charset: null,
+    // The complete layer order, declared up front in every layered chunk
+    layers: layerOrder.length
+      ? postcss.atRule({ name: "layer", params: layerOrder.join(", ") })
+      : null,
+    imports: [],
+    namespaces: [],
+    hoisted: new Set(), // Nodes taken out of the normal flow
+  };
+  let seenBody = false; // Any statement that ends the import/namespace prelude
+
+  root.each((node, index) => {
+    if (node.type !== "atrule") {
+      if (node.type !== "comment") seenBody = true;
+      return;
+    }
+
+    if (node.name === "charset") {
+      preamble.hoisted.add(node);
+      if (index === 0) {
+        preamble.charset = node;
+      } else {
+        node.warn(
+          result,
+          "@charset must be the first statement of a stylesheet and is ignored here, so it is dropped from the chunks."
+        );
+      }
+    } else if (node.name === "import") {
+      preamble.hoisted.add(node);
+      if (!seenBody && preamble.namespaces.length === 0) {
+        preamble.imports.push(node);
+      } else {
+        node.warn(
+          result,
+          "@import must precede all other statements besides @charset and @layer and is ignored here, so it is dropped from the chunks."
+        );
+      }
+    } else if (node.name === "namespace") {
+      preamble.hoisted.add(node);
+      if (!seenBody) {
+        preamble.namespaces.push(node);
+      } else {
+        node.warn(
+          result,
+          "@namespace must precede all style rules and is ignored here, so it is dropped from the chunks."
+        );
+      }
+    } else if (node.name === "layer" && !node.nodes) {
+      // Covered by the complete layer order
+      preamble.hoisted.add(node);
+    } else if (!isPreludeNode(node)) {
+      seenBody = true;
+    }
+  });
+
+  return preamble;
+};
+
+/**
+ * Read the prefix declared by a `@namespace` rule.
+ * @param {import('postcss').AtRule} namespace The `@namespace` rule.
+ * @returns {string|null} The prefix, or `null` for the default namespace.
+ */
+const namespacePrefix = (namespace) => {
+  const first = namespace.params.trim().split(/\s+/)[0];
+  return /^(url\(|["'])/i.test(first) ? null : first;
+};
+
+/**
+ * Whether any style rule in a chunk is affected by a `@namespace` rule. The
+ * default namespace applies to every type selector, a prefixed one only to
+ * selectors that use `prefix|`.
+ * @param {import('postcss').Root} chunk The chunk to check.
+ * @param {import('postcss').AtRule} namespace The `@namespace` rule.
+ * @returns {boolean}
+ */
+const usesNamespace = (chunk, namespace) => {
+  const prefix = namespacePrefix(namespace);
+  const pattern = prefix
+    ? new RegExp(
+        `(^|[^\\w-])${prefix.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}\\|(?!=)`
+      )
+    : null;
+  let used = false;
+  chunk.walkRules((rule) => {
+    if (!pattern || pattern.test(rule.selector)) {
+      used = true;
+      return false;
+    }
+    return undefined;
+  });
+  return used;
+};
+
+/**
+ * Whether a chunk contains layered content, so that loading it on its own or
+ * out of order could change the cascade layer order.
+ * @param {object} preamble The result of `collectPreamble`.
+ * @param {import('postcss').Root} chunk The chunk to check.
+ * @param {number} index The chunk position.
+ * @returns {boolean}
+ */
+const usesLayers = (preamble, chunk, index) => {
+  let used =
+    index === 0 &&
+    preamble.imports.some((node) => /\blayer\b/i.test(node.params));
+  chunk.walkAtRules("layer", () => {
+    used = true;
+    return false;
+  });
+  return used;
+};
+
+/**
+ * Build the statements to prepend to a chunk: `@charset` for every chunk,
+ * the layer order for chunks with layered content, `@import` only for the
+ * first chunk since the imported sheets must apply once and before
+ * everything else, and the `@namespace` rules the chunk uses.
+ * @param {object} preamble The result of `collectPreamble`.
+ * @param {import('postcss').Root|null} chunk The chunk, or `null` to include every optional statement.
+ * @param {number} index The chunk position.
+ * @returns {Array<import('postcss').AtRule>} Original nodes, to be cloned by the caller.
+ */
+const preambleFor = (preamble, chunk, index) => {
+  const nodes = [];
+  if (preamble.charset) nodes.push(preamble.charset);
+  if (preamble.layers && (!chunk || usesLayers(preamble, chunk, index))) {
+    nodes.push(preamble.layers);
+  }
+  if (index === 0) nodes.push(...preamble.imports);
+  preamble.namespaces.forEach((namespace) => {
+    if (!chunk || usesNamespace(chunk, namespace)) nodes.push(namespace);
+  });
+  return nodes;
+};
+
+module.exports = { collectPreamble, preambleFor };
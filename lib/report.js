@@ -0,0 +1,207 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Identify a node in the report by its prelude and source line.
+ * @param {import('postcss').Node} node The rule, @-rule or comment.
+ * @returns {{ node: string, line: number|null }}
+ */
+const describeNode = (node) => {
+  let prelude;
+  if (node.type === "rule") prelude = node.selector;
+  else if (node.type === "atrule") prelude = `@${node.name} ${node.params}`;
+  else prelude = `/* ${node.text} */`;
+  return {
+    node: prelude.replace(/\s+/g, " ").trim(),
+    line: node.source && node.source.start ? node.source.start.line : null,
+  };
+};
+
+/**
+ * Resolve where the report is written.
+ * @param {boolean|string} report The `report` plugin option.
+ * @param {string} [firstFile] Path of the first written chunk.
+ * @returns {string} Absolute path of the JSON report.
+ */
+const reportPath = (report, firstFile) =>
+  typeof report === "string"
+    ? path.resolve(report)
+    : path.join(
+        firstFile ? path.dirname(firstFile) : process.cwd(),
+        "report.json"
+      );
+
+const HTML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+const escapeHtml = (text) =>
+  String(text).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
+// A node with its source line, as written in decision descriptions
+const label = (decision) =>
+  decision.line === null
+    ? `'${decision.node}'`
+    : `'${decision.node}' (line ${decision.line})`;
+
+// Why a chunk was closed, completing "Closed at ... bytes"
+const closeReasons = {
+  overflow: (decision) =>
+    `since ${label(decision)} with ${
+      decision.nodeSize
+    } bytes would exceed a limit`,
+  atomic: (decision) =>
+    `since the atomic ${label(decision)} with ${
+      decision.nodeSize
+    } bytes does not fit`,
+  keep: (decision) =>
+    `since the group kept together by ${label(decision)} with ${
+      decision.nodeSize
+    } bytes does not fit`,
+  break: (decision) => `at the break directive on line ${decision.line}`,
+  "content-boundary": (decision) =>
+    `at a content-defined boundary after ${label(decision)}`,
+  "previous-manifest": (decision) =>
+    `to keep ${label(decision)} in its previous chunk`,
+  isolate: (decision) => `to isolate the oversized ${label(decision)}`,
+  end: () => "at the end of the stylesheet",
+};
+
+/**
+ * Describe a recorded decision in one sentence.
+ * @param {object} decision The decision from the report.
+ * @returns {string}
+ */
+const describeDecision = (decision) => {
+  switch (decision.type) {
+    case "new-chunk":
+      return `Closed at an estimated ${decision.size} bytes, ${
+        decision.selectors
+      } selectors and ${decision.rules} rules, ${closeReasons[decision.reason](
+        decision
+      )}.`;
+    case "shell":
+      return `Rebuilt the shell of ${label(decision)}.`;
+    case "atomic":
+      return `Kept the atomic ${label(decision)} of ${
+        decision.size
+      } bytes whole.`;
+    case "oversize":
+      return `Found an oversized unit: ${decision.problems.join(
+        "; "
+      )}. Handled with '${decision.action}'.`;
+    case "carry":
+      return `Measured ${decision.measured} bytes against the limit of ${decision.limit} and moved ${decision.units} units to the next chunk.`;
+    case "fill-last":
+      return `Took ${decision.units} units from the previous chunk to reach ${decision.measured} of the ${decision.minSize} byte minimum.`;
+    case "halve":
+      return `Split in half, moving ${decision.units} units to a new chunk.`;
+    case "even-out":
+      return `Took ${decision.units} units from the previous chunk to even out sizes.`;
+    default:
+      return decision.type;
+  }
+};
+
+/**
+ * Render the report as a self-contained HTML page with a bar for every chunk.
+ * @param {{ options: object, chunks: Array<object>, decisions: Array<object> }} report The report.
+ * @returns {string} The HTML document.
+ */
+const renderReport = (report) => {
+  const { options, chunks, decisions } = report;
+  const scale = Math.max(options.size || 0, ...chunks.map((c) => c.bytes), 1);
+  const percent = (bytes) => `${((bytes / scale) * 100).toFixed(2)}%`;
+  const limitMarker = options.size
+    ? `<div class="limit" style="left: ${percent(options.size)}"></div>`
+    : "";
+
+  const sections = chunks.map((chunk) => {
+    const sources = chunk.sources
+      .map(
+        (source) =>
+          `<li>${escapeHtml(source.file)}:${source.startLine}-${
+            source.endLine
+          }</li>`
+      )
+      .join("");
+    const shells = chunk.shells.length
+      ? `<p>Shells: ${chunk.shells.map(escapeHtml).join(", ")}</p>`
+      : "";
+    const steps = decisions
+      .filter((decision) => decision.chunk === chunk.index)
+      .map(
+        (decision) =>
+          `<li class="${escapeHtml(decision.type)}">${escapeHtml(
+            describeDecision(decision)
+          )}</li>`
+      )
+      .join("");
+    return `<section class="chunk${chunk.oversized ? " oversized" : ""}">
+<h2>Chunk ${chunk.index + 1}</h2>
+<div class="track"><div class="bar" style="width: ${percent(
+      chunk.bytes
+    )}"></div>${limitMarker}</div>
+<p>${chunk.bytes} bytes, ${chunk.gzipBytes} gzipped, ${
+      chunk.ruleCount
+    } rules, ${chunk.selectorCount} selectors${
+      chunk.oversized ? ", contains an oversized unit" : ""
+    }</p>
+${shells}<ul class="sources">${sources}</ul>
+<ol class="decisions">${steps}</ol>
+</section>`;
+  });
+
+  const settings = Object.keys(options)
+    .filter((key) => options[key])
+    .map((key) => `${key}: ${escapeHtml(options[key])}`)
+    .join(", ");
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>CSS chunk report</title>
+<style>
+body { font: 14px/1.5 system-ui, sans-serif; margin: 2em; color: #222; }
+.chunk { border-top: 1px solid #ddd; padding: 0.5em 0; }
+.chunk h2 { font-size: 1.1em; margin: 0; }
+.track { position: relative; height: 1.2em; background: #f2f2f2; }
+.bar { height: 100%; background: #4a8fd8; }
+.oversized .bar { background: #d8574a; }
+.limit { position: absolute; top: -0.2em; bottom: -0.2em; border-left: 2px dashed #222; }
+.sources { margin: 0; padding-left: 1.2em; color: #555; }
+.decisions { font-size: 0.9em; color: #444; }
+.decisions .oversize { color: #b03020; }
+</style>
+</head>
+<body>
+<h1>CSS chunk report</h1>
+<p>${chunks.length} chunks. ${settings}</p>
+${sections.join("\n")}
+</body>
+</html>
+`;
+};
+
+/**
+ * Write the report as formatted JSON and as HTML next to it, creating
+ * missing directories.
+ * @param {string} file Absolute path of the JSON report.
+ * @param {object} report The report object.
+ */
+const writeReport = (file, report) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(report, null, 2)}\n`);
+  fs.writeFileSync(
+    path.join(
+      path.dirname(file),
+      `${path.basename(file, path.extname(file))}.html`
+    ),
+    renderReport(report)
+  );
+};
+
+module.exports = { describeNode, reportPath, renderReport, writeReport };
@@ -0,0 +1,41 @@
+/**
+ * Content-defined chunk boundaries. A gear hash rolls over the serialized
+ * stylesheet and signals a boundary wherever its top bits are all zero. The
+ * hash only depends on the last 32 bytes, so a boundary stays in place when
+ * the stylesheet is edited somewhere else.
+ */
+
+// Pseudo-random value for every byte, generated with a fixed seed so that
+// boundaries are the same on every run
+const GEAR = (() => {
+  let state = 0x9e3779b9;
+  return Array.from({ length: 256 }, () => {
+    state ^= state << 13;
+    state ^= state >>> 17;
+    state ^= state << 5;
+    return state >>> 0;
+  });
+})();
+
+/**
+ * Create a rolling hash that signals a boundary about every `averageSize` bytes.
+ * @param {number} averageSize Expected distance between boundaries in bytes.
+ * @returns {(css: string) => boolean} Feeds CSS to the hash and tells whether a boundary occurred in it.
+ */
+const createRollingHash = (averageSize) => {
+  const bits = Math.max(1, Math.min(31, Math.round(Math.log2(averageSize))));
+  const mask = (~0 << (32 - bits)) >>> 0;
+  let hash = 0;
+
+  return (css) => {
+    let boundary = false;
+    const bytes = Buffer.from(css, "utf8");
+    for (let i = 0; i < bytes.length; i++) {
+      hash = ((hash << 1) + GEAR[bytes[i]]) >>> 0;
+      if ((hash & mask) === 0) boundary = true;
+    }
+    return boundary;
+  };
+};
+
+module.exports = { createRollingHash };
@@ -0,0 +1,101 @@
+const path = require("path");
+const postcss = require("postcss");
+const plugin = require("../index");
+const { chunkHrefs, relativeUrl, rewriteStylesheetLinks } = require("./html");
+
+/**
+ * Read the source of a bundle asset as a string.
+ * @param {{ source: string|Uint8Array }} asset The output asset.
+ * @returns {string}
+ */
+const assetSource = (asset) =>
+  typeof asset.source === "string"
+    ? asset.source
+    : Buffer.from(asset.source).toString("utf8");
+
+/**
+ * Vite and Rollup plugin that splits the final CSS assets of a build. Every
+ * chunk is emitted as an asset, HTML links to a split stylesheet are replaced
+ * by links to its chunks in order, and Vite's `importedCss` metadata lists the
+ * chunks. The split stylesheet itself is kept as `@import` statements of its
+ * chunks, for references in code such as preloads of dynamic imports.
+ * @param {object} [opts] The plugin options. `output`, `manifest`, `entry`, `report` and `runtime` are ignored.
+ * @returns {object} The Rollup plugin.
+ */
+module.exports = (opts = {}) => {
+  const pluginOptions = Object.assign({}, opts, {
+    output: undefined,
+    manifest: false,
+    entry: "empty",
+    report: false,
+    runtime: false,
+  });
+  // Options are validated when the build is configured
+  plugin(pluginOptions);
+
+  return {
+    name: "postcss-split-chunks",
+    apply: "build",
+    // Runs after Vite has injected the stylesheets into the HTML
+    enforce: "post",
+
+    async generateBundle(outputOptions, bundle) {
+      const chunksOf = new Map(); // Split stylesheet file name to chunk file names
+
+      const stylesheets = Object.keys(bundle).filter(
+        (fileName) =>
+          bundle[fileName].type === "asset" && /\.css$/i.test(fileName)
+      );
+      for (const fileName of stylesheets) {
+        const asset = bundle[fileName];
+        const result = await postcss([plugin(pluginOptions)]).process(
+          assetSource(asset),
+          { from: fileName, map: false }
+        );
+        result
+          .warnings()
+          .forEach((warning) => this.warn(`${fileName}: ${warning.text}`));
+        if (result.chunks.length < 2) continue;
+
+        const name = path.posix.basename(
+          (asset.names && asset.names[0]) || asset.name || fileName,
+          ".css"
+        );
+        const chunkFiles = result.chunks.map((chunk, index) =>
+          this.getFileName(
+            this.emitFile({
+              type: "asset",
+              name: `${name}.${index + 1}.css`,
+              source: chunk.css,
+            })
+          )
+        );
+        chunksOf.set(fileName, chunkFiles);
+        asset.source = chunkFiles
+          .map(
+            (chunkFile) => `@import url("${relativeUrl(fileName, chunkFile)}");`
+          )
+          .join("\n");
+      }
+      if (chunksOf.size === 0) return;
+
+      Object.keys(bundle).forEach((fileName) => {
+        const file = bundle[fileName];
+        const metadata = file.type === "chunk" && file.viteMetadata;
+        if (metadata && metadata.importedCss) {
+          const imported = [];
+          metadata.importedCss.forEach((css) => {
+            imported.push(...(chunksOf.get(css) || [css]));
+          });
+          metadata.importedCss = new Set(imported);
+        }
+
+        if (file.type === "asset" && /\.html?$/i.test(fileName)) {
+          file.source = rewriteStylesheetLinks(assetSource(file), (href) =>
+            chunkHrefs(href, chunksOf, fileName)
+          );
+        }
+      });
+    },
+  };
+};
@@ -0,0 +1,138 @@
+const fs = require("fs");
+const path = require("path");
+const { relativePath } = require("./manifest");
+
+/**
+ * Browser runtime that loads chunks in parallel and applies them in order.
+ * It is serialized into the generated loader, so it must stay ES5 without
+ * dependencies. Links are inserted in chunk order with `media="print"`, which
+ * downloads them without applying them, and each one gets its media once it
+ * and every chunk before it have loaded.
+ * @param {Document} document The document to add the links to.
+ * @param {Array<string>} hrefs The chunk URLs, in order.
+ * @param {{ media?: string, after?: Element }} [options] Media of the applied chunks (default `all`), and the element to insert the first link after (default: the end of `<head>`).
+ * @returns {{ chunks: Array<string>, load: (count?: number) => Promise<void> }} `load` starts loading the first `count` chunks (default: all) and settles when they are applied.
+ */
+function createLoader(document, hrefs, options) {
+  var media = (options && options.media) || "all";
+  var after = options && options.after;
+  var links = [];
+  var applied = 0;
+  var failed = -1; // Index of the first chunk that failed to load
+  var error = null;
+  var pending = [];
+
+  function settle() {
+    while (applied < links.length && links[applied].loaded) {
+      links[applied].element.media = media;
+      applied++;
+    }
+    pending = pending.filter(function (request) {
+      if (applied >= request.count) request.resolve();
+      else if (failed >= 0 && failed < request.count) request.reject(error);
+      else return true;
+      return false;
+    });
+  }
+
+  function insert(index) {
+    var entry = { element: document.createElement("link"), loaded: false };
+    var link = entry.element;
+    link.rel = "stylesheet";
+    link.media = "print";
+    link.onload = function () {
+      entry.loaded = true;
+      settle();
+    };
+    link.onerror = function () {
+      if (failed < 0 || index < failed) {
+        failed = index;
+        error = new Error("Failed to load CSS chunk " + hrefs[index]);
+      }
+      settle();
+    };
+    link.href = hrefs[index];
+    var previous = links.length ? links[links.length - 1].element : after;
+    if (previous) previous.parentNode.insertBefore(link, previous.nextSibling);
+    else document.head.appendChild(link);
+    links.push(entry);
+  }
+
+  return {
+    chunks: hrefs.slice(),
+    load: function (count) {
+      var end = count === undefined ? hrefs.length : count;
+      end = Math.max(0, Math.min(end, hrefs.length));
+      while (links.length < end) insert(links.length);
+      return new Promise(function (resolve, reject) {
+        pending.push({ count: end, resolve: resolve, reject: reject });
+        settle();
+      });
+    },
+  };
+}
+
+/**
+ * Resolve where the loader is written.
+ * @param {boolean|string} runtime The `runtime` plugin option.
+ * @param {string} firstFile Path of the first written chunk.
+ * @param {string} name The `[name]` of the input.
+ * @returns {string} Absolute path of the loader.
+ */
+const runtimePath = (runtime, firstFile, name) =>
+  typeof runtime === "string"
+    ? path.resolve(runtime)
+    : path.join(path.dirname(firstFile), `${name}.loader.js`);
+
+/**
+ * Generate the loader script of a split stylesheet. As a classic script it
+ * adds the loader to the global `cssChunks` under the stylesheet name, with
+ * chunk URLs resolved against the script URL. With CommonJS it exports the
+ * loader factory, taking the document, the base URL and the loader options.
+ * @param {string} name The stylesheet name.
+ * @param {Array<string>} hrefs Chunk URLs relative to the loader, in order.
+ * @returns {string} The loader source.
+ */
+const renderRuntime = (
+  name,
+  hrefs
+) => `/* postcss-plugin-split-chunks loader for ${name} */
+var cssChunks = cssChunks || {};
+(function (createLoader) {
+  var hrefs = ${JSON.stringify(hrefs)};
+  function create(document, base, options) {
+    return createLoader(
+      document,
+      hrefs.map(function (href) {
+        return base ? new URL(href, base).href : href;
+      }),
+      options
+    );
+  }
+  if (typeof module === "object" && module.exports) {
+    module.exports = create;
+  } else {
+    var script = document.currentScript;
+    cssChunks[${JSON.stringify(name)}] = create(document, script && script.src);
+  }
+})(${createLoader.toString()});
+`;
+
+/**
+ * Write the loader of a split stylesheet, creating missing directories.
+ * @param {string} file Absolute path of the loader.
+ * @param {string} name The stylesheet name.
+ * @param {Array<string>} chunkFiles Absolute paths of the chunks, in order.
+ * @returns {string} The loader source.
+ */
+const writeRuntime = (file, name, chunkFiles) => {
+  const code = renderRuntime(
+    name,
+    chunkFiles.map((chunkFile) => relativePath(path.dirname(file), chunkFile))
+  );
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, code);
+  return code;
+};
+
+module.exports = { createLoader, runtimePath, renderRuntime, writeRuntime };
@@ -0,0 +1,41 @@
+// Bytes per unit. Like the rest of the documentation, `kb` means 1024 bytes.
+const UNITS = {
+  b: 1,
+  k: 1024,
+  kb: 1024,
+  kib: 1024,
+  m: 1024 * 1024,
+  mb: 1024 * 1024,
+  mib: 1024 * 1024,
+  g: 1024 * 1024 * 1024,
+  gb: 1024 * 1024 * 1024,
+  gib: 1024 * 1024 * 1024,
+};
+
+/**
+ * Read a size option given as a number of bytes or as a string with a unit,
+ * such as `'50kb'`, `'1.5 MiB'` or `'800'`.
+ * @param {number|string} value The option value.
+ * @param {string} name The option name, for the error message.
+ * @returns {number} The size in whole bytes.
+ */
+const parseSize = (value, name) => {
+  let bytes = NaN;
+  if (typeof value === "number") {
+    bytes = value;
+  } else if (typeof value === "string") {
+    const match = /^\s*(\d+(?:\.\d+)?|\.\d+)\s*([a-z]*)\s*$/i.exec(value);
+    const unit = match && (match[2].toLowerCase() || "b");
+    if (match && Object.prototype.hasOwnProperty.call(UNITS, unit)) {
+      bytes = Math.floor(Number(match[1]) * UNITS[unit]);
+    }
+  }
+  if (!Number.isFinite(bytes) || bytes < 0) {
+    throw new Error(
+      `postcss-chunk-by-size: ${name} must be a non-negative number of bytes or a size like '50kb' or '1MiB', got '${value}'`
+    );
+  }
+  return bytes;
+};
+
+module.exports = { parseSize };
@@ -0,0 +1,132 @@
+const postcss = require("postcss");
+const plugin = require("../index");
+const { chunkHrefs, relativeUrl } = require("./html");
+
+const PLUGIN_NAME = "PostcssSplitChunksPlugin";
+
+/**
+ * Find the html-webpack-plugin class among the configured plugins, so that
+ * its hooks are those of the copy the build uses.
+ * @param {object} compiler The webpack compiler.
+ * @returns {Function|null}
+ */
+const findHtmlPlugin = (compiler) => {
+  const instance = (compiler.options.plugins || []).find(
+    (candidate) =>
+      candidate &&
+      candidate.constructor &&
+      candidate.constructor.name === "HtmlWebpackPlugin" &&
+      typeof candidate.constructor.getHooks === "function"
+  );
+  return instance ? instance.constructor : null;
+};
+
+/**
+ * Webpack plugin that splits the final CSS assets of a compilation, such as
+ * those extracted by mini-css-extract-plugin. Every chunk becomes an asset
+ * with its own source map, next to the original named `[name].[index].css`.
+ * html-webpack-plugin links the chunks in order instead of the original, and
+ * the original asset is kept with an `@import` of every chunk for stylesheets
+ * loaded at runtime.
+ * @param {object} [opts] The plugin options. `output`, `manifest`, `entry`, `report` and `runtime` are ignored.
+ * @returns {{ apply: (compiler: object) => void }} The webpack plugin.
+ */
+module.exports = (opts = {}) => {
+  const pluginOptions = Object.assign({}, opts, {
+    output: undefined,
+    manifest: false,
+    entry: "empty",
+    report: false,
+    runtime: false,
+  });
+  // Options are validated when the build is configured
+  plugin(pluginOptions);
+
+  return {
+    apply(compiler) {
+      const { Compilation, WebpackError, sources } = compiler.webpack;
+      const HtmlWebpackPlugin = findHtmlPlugin(compiler);
+
+      compiler.hooks.thisCompilation.tap(PLUGIN_NAME, (compilation) => {
+        const chunksOf = new Map(); // Split asset name to chunk asset names
+
+        compilation.hooks.processAssets.tapPromise(
+          {
+            name: PLUGIN_NAME,
+            // After minifiers, before devtool writes the source maps
+            stage: Compilation.PROCESS_ASSETS_STAGE_OPTIMIZE_SIZE + 1,
+          },
+          async () => {
+            const stylesheets = compilation
+              .getAssets()
+              .filter((asset) => /\.css$/i.test(asset.name));
+            for (const asset of stylesheets) {
+              const { source, map } = asset.source.sourceAndMap();
+              const result = await postcss([plugin(pluginOptions)]).process(
+                source.toString(),
+                {
+                  from: asset.name,
+                  map: map
+                    ? { prev: map, inline: false, annotation: false }
+                    : false,
+                }
+              );
+              result.warnings().forEach((warning) => {
+                compilation.warnings.push(
+                  new WebpackError(
+                    `${PLUGIN_NAME}: ${asset.name}: ${warning.text}`
+                  )
+                );
+              });
+              if (result.chunks.length < 2) continue;
+
+              const base = asset.name.replace(/\.css$/i, "");
+              const names = result.chunks.map((chunk, index) => {
+                const name = `${base}.${index + 1}.css`;
+                compilation.emitAsset(
+                  name,
+                  chunk.map
+                    ? new sources.SourceMapSource(
+                        chunk.css,
+                        name,
+                        chunk.map.toJSON()
+                      )
+                    : new sources.RawSource(chunk.css),
+                  Object.assign({}, asset.info)
+                );
+                return name;
+              });
+              chunksOf.set(asset.name, names);
+              compilation.updateAsset(
+                asset.name,
+                new sources.RawSource(
+                  names
+                    .map(
+                      (name) =>
+                        `@import url("${relativeUrl(asset.name, name)}");`
+                    )
+                    .join("\n")
+                )
+              );
+            }
+          }
+        );
+
+        if (HtmlWebpackPlugin) {
+          HtmlWebpackPlugin.getHooks(
+            compilation
+          ).beforeAssetTagGeneration.tapAsync(PLUGIN_NAME, (data, callback) => {
+            const css = [];
+            data.assets.css.forEach((href) => {
+              css.push(
+                ...(chunkHrefs(href, chunksOf, data.outputName) || [href])
+              );
+            });
+            data.assets.css = css;
+            callback(null, data);
+          });
+        }
+      });
+    },
+  };
+};